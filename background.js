@@ -1,156 +1,50 @@
 /**
  * Main Background Script - Platform Router
  *
- * Routes conversation data to platform-specific handlers
- * and manages CSV generation and downloads
+ * Routes conversation data to platform-specific normalizers
+ * and manages export file generation and downloads
  */
 
-import { extractChatGPTConversation } from './platforms/chatgpt/extractor.js';
 import { EXTENSION_CONFIG } from './config/settings.js';
-import { escapeCSVField, generateCSV, createCSVBlob, generateFilename } from './utils/csv.js';
-
-
-
-
-/**
- * Claude Platform Handler
- * Handles Claude-specific conversation data processing
- */
-const ClaudeHandler = {
-  /**
-   * Extract text content from Claude message content array
-   * Claude messages can have multiple content blocks
-   */
-  extractTextFromContent(content) {
-    if (!content || !Array.isArray(content)) {
-      return '';
-    }
-
-    return content
-      .filter(block => block && block.type === 'text')
-      .map(block => block.text || '')
-      .join('\n\n');
-  },
-
-  /**
-   * Flatten Claude conversation data into CSV rows
-   */
-  flattenConversationData(convJson) {
-    if (!convJson || !Array.isArray(convJson.chat_messages)) {
-      console.warn('[Claude] Invalid conversation data: missing chat_messages');
-      return [];
-    }
-
-    const messages = convJson.chat_messages;
-    const conversationId = convJson.uuid || '';
-    const conversationName = convJson.name || '';
-    const rows = [];
-
-    for (const msg of messages) {
-      try {
-        // Extract text from content array
-        const text = this.extractTextFromContent(msg.content);
-
-        // Build row
-        const row = {
-          conversation_id: conversationId,
-          conversation_name: conversationName,
-          message_id: msg.uuid || '',
-          parent_message_id: msg.parent_message_uuid || '',
-          sender: msg.sender || '',
-          text: text,
-          created_at: msg.created_at || '',
-          updated_at: msg.updated_at || '',
-          index: msg.index !== undefined ? msg.index : '',
-          truncated: msg.truncated || false,
-          stop_reason: msg.stop_reason || ''
-        };
-
-        rows.push(row);
-      } catch (error) {
-        console.error('[Claude] Error processing message:', error);
-        // Continue with next message
-      }
-    }
-
-    return rows;
-  }
-};
+import { normalizeConversation, normalizeProject } from './utils/normalize.js';
+import { selectActiveThread } from './utils/tree.js';
+import { EXCHANGE_COLUMNS, conversationToExchangeRows } from './utils/exchanges.js';
+import { ARTIFACT_COLUMNS, collectArtifacts } from './utils/artifacts.js';
+import { PROJECT_COLUMNS, KNOWLEDGE_COLUMNS, projectToRow, collectKnowledgeDocuments } from './utils/project.js';
+import {
+  MESSAGE_COLUMNS,
+  BLOCK_COLUMNS,
+  ATTACHMENT_COLUMNS,
+  TIMESTAMP_COLUMNS,
+  resolveMessageColumns,
+  formatTimestamp,
+  collectMetadataColumns,
+  conversationToMetadataRow,
+  conversationToMessageRows,
+  conversationToBlockRows,
+  conversationToAttachmentRows
+} from './utils/schema.js';
+import { escapeCSVField, generateCSV, createCSVBlob } from './utils/csv.js';
+import { renderFilename, getBaseFilename, makeFilenamesUnique } from './utils/filename.js';
+import { generateConversationJSON, generateConversationsJSON } from './utils/json.js';
+import { generateConversationMarkdown } from './utils/markdown.js';
+import { generateConversationHTML } from './utils/html.js';
+import { generateConversationsXLSX } from './utils/xlsx.js';
+import { generateConversationGraphML, generateConversationDOT } from './utils/graph.js';
+import { createCompressedZip } from './utils/zip.js';
+import { MAX_BULK_EXPORT_SIZE, createBulkTransferStore, measurePayloads, getBulkSizeError } from './utils/bulk-transfer.js';
 
 /**
- * Copilot Platform Handler
- * Handles Copilot-specific conversation data processing
+ * User preferences (shared/preferences.js, loaded before this module)
+ * Kept current so every export uses the latest saved settings.
  */
-const CopilotHandler = {
-  /**
-   * Extract text content from Copilot content parts array
-   * Copilot messages can have multiple content parts with type "text"
-   */
-  extractTextFromContent(content) {
-    if (!content || !Array.isArray(content)) {
-      return '';
-    }
-
-    return content
-      .filter(part => part && part.type === 'text')
-      .map(part => part.text || '')
-      .join('\n\n');
-  },
-
-  /**
-   * Flatten Copilot conversation data into CSV rows
-   */
-  flattenConversationData(convJson) {
-    if (!convJson || !Array.isArray(convJson.results)) {
-      console.warn('[Copilot] Invalid conversation data: missing results');
-      return [];
-    }
-
-    const results = convJson.results;
-    const conversationId = convJson.conversationId || '';
-    const rows = [];
-
-    for (const result of results) {
-      try {
-        // Extract text from content array
-        const text = this.extractTextFromContent(result.content);
-
-        // Map author.type to role
-        const authorType = result.author?.type || '';
-        const role = authorType === 'human' ? 'user' :
-          authorType === 'ai' ? 'assistant' :
-            authorType;
-
-        // Extract part IDs (for reference)
-        const partIds = result.content
-          ?.filter(part => part && part.type === 'text')
-          .map(part => part.partId || '')
-          .join(',') || '';
-
-        // Build row
-        const row = {
-          conversation_id: conversationId,
-          message_id: result.id || '',
-          role: role,
-          text: text,
-          created_at: result.createdAt || '',
-          channel: result.channel || '',
-          mode: result.mode || '',
-          part_ids: partIds,
-          author_type: authorType
-        };
-
-        rows.push(row);
-      } catch (error) {
-        console.error('[Copilot] Error processing result:', error);
-        // Continue with next result
-      }
-    }
-
-    return rows;
-  }
-};
-
+let preferences = Preferences.normalize(null);
+const preferencesLoaded = Preferences.load().then(loaded => {
+  preferences = loaded;
+});
+Preferences.onChanged(updated => {
+  preferences = updated;
+});
 
 /**
  * Validate conversation data structure and size
@@ -233,10 +127,673 @@ function validateConversationData(data, platform) {
   return { isValid: true, error: null };
 }
 
+/**
+ * Resolve the requested export format against the configured formats
+ * @param {Object} options - Export options sent by the popup
+ * @returns {string} A key of EXTENSION_CONFIG.exportFormats (defaults to the preferred format)
+ */
+function resolveExportFormat(options) {
+  const format = options && typeof options.format === 'string' ? options.format : preferences.format;
+  if (!Object.prototype.hasOwnProperty.call(EXTENSION_CONFIG.exportFormats, format) || !FILE_BUILDERS[format]) {
+    console.warn('[Background] Unknown export format, falling back to CSV:', format);
+    return 'csv';
+  }
+  return format;
+}
+
+/**
+ * Resolve the requested branch mode against the configured modes
+ * @param {Object} options - Export options sent by the popup
+ * @returns {string} A key of EXTENSION_CONFIG.branchModes (defaults to the preferred mode)
+ */
+function resolveBranchMode(options) {
+  const branchMode = options && typeof options.branchMode === 'string' ? options.branchMode : preferences.branchMode;
+  if (!Object.prototype.hasOwnProperty.call(EXTENSION_CONFIG.branchModes, branchMode)) {
+    console.warn('[Background] Unknown branch mode, exporting all branches:', branchMode);
+    return 'all';
+  }
+  return branchMode;
+}
+
+/**
+ * Apply the branch mode to a normalized conversation
+ * 'active' keeps the thread shown in the UI; 'all' keeps every branch.
+ */
+function applyBranchMode(conversation, branchMode) {
+  return branchMode === 'active' ? selectActiveThread(conversation) : conversation;
+}
+
+/**
+ * Resolve the message columns chosen in the popup (or the preferred columns)
+ * Unknown names are dropped; an empty selection exports every column.
+ * @param {Object} options - Export options sent by the popup
+ * @returns {Array<string>} Message columns in MESSAGE_COLUMNS order
+ */
+function resolveExportColumns(options) {
+  return resolveMessageColumns(options && Array.isArray(options.columns) ? options.columns : preferences.columns);
+}
+
+/**
+ * Apply privacy preferences to a normalized conversation
+ * Without includeAttachmentContent, the extracted text of attachments is removed.
+ */
+function applyPrivacyPreferences(conversation) {
+  if (preferences.includeAttachmentContent) {
+    return conversation;
+  }
+
+  return {
+    ...conversation,
+    messages: conversation.messages.map(message => ({
+      ...message,
+      attachments: message.attachments.map(attachment => ({ ...attachment, extracted_content: '' }))
+    }))
+  };
+}
+
+/**
+ * Normalize a project payload and apply the privacy preferences
+ * Without includeAttachmentContent, knowledge documents are listed without their text.
+ * @returns {Object} Normalized project (see utils/project.js)
+ */
+function prepareProject(platform, projectData) {
+  const project = normalizeProject(platform, projectData);
+  if (preferences.includeAttachmentContent) {
+    return project;
+  }
+
+  return {
+    ...project,
+    documents: project.documents.map(document => ({ ...document, content: '' }))
+  };
+}
+
+/**
+ * Apply the mergeThinking preference to a normalized conversation
+ * Claude's thinking blocks are written into the message text, in block
+ * order, wrapped in <thinking> tags. Only messages with thinking change.
+ */
+function applyContentPreferences(conversation) {
+  if (!preferences.mergeThinking) {
+    return conversation;
+  }
+
+  return {
+    ...conversation,
+    messages: conversation.messages.map(message => {
+      if (!message.blocks.some(block => block.type === 'thinking' && block.text)) {
+        return message;
+      }
+
+      const text = message.blocks
+        .filter(block => block.type === 'text' || block.type === 'thinking')
+        .map(block => (block.type === 'thinking' ? `<thinking>\n${block.text}\n</thinking>` : block.text))
+        .filter(Boolean)
+        .join('\n\n');
+      return { ...message, text };
+    })
+  };
+}
+
+/**
+ * Normalize a platform payload and apply the branch mode and preferences
+ * @returns {Object} Normalized conversation ready for the file builders
+ */
+function prepareConversation(platform, conversationData, branchMode) {
+  const conversation = applyBranchMode(normalizeConversation(platform, conversationData), branchMode);
+  return applyPrivacyPreferences(applyContentPreferences(conversation));
+}
+
+/**
+ * Apply the timestamp format preference to a metadata or message row
+ * Only CSV rows are formatted; XLSX stores native dates and JSON keeps ISO 8601.
+ */
+function formatRowTimestamps(row) {
+  const formatted = { ...row };
+  TIMESTAMP_COLUMNS.forEach(column => {
+    if (column in formatted) {
+      formatted[column] = formatTimestamp(formatted[column], preferences.timestampFormat);
+    }
+  });
+  return formatted;
+}
+
+/**
+ * Get the CSV dialect from the preferences (see utils/csv.js)
+ * @returns {Object} { delimiter, lineEnding, quoting, formulaProtection }
+ */
+function getCSVDialect() {
+  return {
+    delimiter: preferences.csvDelimiter,
+    lineEnding: preferences.csvLineEnding,
+    quoting: preferences.csvQuoting,
+    formulaProtection: preferences.csvFormulaProtection
+  };
+}
+
+/**
+ * Read the bulk export filters recorded in the manifest
+ * Filters are validated in the content script; only primitive values are kept here.
+ * @param {Object} options - Export options sent by the content script
+ * @returns {Object|null} Filters, or null when the export was not filtered
+ */
+function resolveExportFilters(options) {
+  const filters = options && options.filters;
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return null;
+  }
+
+  const recorded = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (typeof value === 'string' || typeof value === 'number') {
+      recorded[key] = value;
+    }
+  });
+
+  return Object.keys(recorded).length > 0 ? recorded : null;
+}
+
+/**
+ * Name an export file from the user's filename template (utils/filename.js)
+ * @param {Array<Object>} conversations - Normalized conversations in the file
+ * @param {string} kind - File kind for the {kind} token (e.g. 'messages', 'transcript')
+ * @param {string} format - Export format key
+ * @param {string} [extension] - File extension (defaults to the format's)
+ * @returns {string} Relative download path
+ */
+function getExportFilename(conversations, kind, format, extension = EXTENSION_CONFIG.exportFormats[format].extension) {
+  const platform = conversations[0].platform;
+  return renderFilename(preferences.filenameTemplate, {
+    conversations,
+    platform,
+    participant: EXTENSION_CONFIG.platforms[platform]?.name,
+    kind,
+    format,
+    extension
+  });
+}
+
+/**
+ * Check whether a platform exports a content blocks table
+ */
+function hasContentBlocks(platform) {
+  return Boolean(EXTENSION_CONFIG.platforms[platform]?.supportsContentBlocks);
+}
+
+/**
+ * Build the CSV files for normalized conversations
+ * Every platform gets a metadata file (one row per conversation) alongside
+ * the messages file; platforms with supportsContentBlocks also get a blocks file.
+ * Uploaded files and images add an attachments file, and Claude artifacts an
+ * artifacts table. Project exports add the project and knowledge documents tables.
+ * @param {Object} context - Export context; `columns` selects the message columns
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }
+ */
+function buildCSVFiles(conversations, context) {
+  const csvOptions = getCSVDialect();
+  const messageRows = conversations.flatMap(conversationToMessageRows).map(formatRowTimestamps);
+  const metadataRows = conversations.map(conversationToMetadataRow).map(formatRowTimestamps);
+
+  if (messageRows.length === 0) {
+    return [];
+  }
+
+  const files = [
+    {
+      filename: getExportFilename(conversations, 'metadata', 'csv'),
+      content: generateCSV(metadataRows, collectMetadataColumns(metadataRows), csvOptions),
+      format: 'csv',
+      rowCount: conversations.length
+    },
+    {
+      filename: getExportFilename(conversations, 'messages', 'csv'),
+      content: generateCSV(messageRows, context.columns, csvOptions),
+      format: 'csv',
+      rowCount: messageRows.length
+    }
+  ];
+
+  const blockRows = hasContentBlocks(conversations[0].platform) ?
+    conversations.flatMap(conversationToBlockRows).map(formatRowTimestamps) : [];
+  if (blockRows.length > 0) {
+    files.push({
+      filename: getExportFilename(conversations, 'blocks', 'csv'),
+      content: generateCSV(blockRows, BLOCK_COLUMNS, csvOptions),
+      format: 'csv',
+      rowCount: blockRows.length
+    });
+  }
+
+  const attachmentRows = conversations.flatMap(conversationToAttachmentRows);
+  if (attachmentRows.length > 0) {
+    files.push({
+      filename: getExportFilename(conversations, 'attachments', 'csv'),
+      content: generateCSV(attachmentRows, ATTACHMENT_COLUMNS, csvOptions),
+      format: 'csv',
+      rowCount: attachmentRows.length
+    });
+  }
+
+  files.push(...buildArtifactTableFiles(conversations));
+
+  if (context.project) {
+    const knowledgeRows = collectKnowledgeDocuments(context.project).rows;
+    files.push({
+      filename: getExportFilename(conversations, 'project', 'csv'),
+      content: generateCSV([formatRowTimestamps(projectToRow(context.project, conversations))], PROJECT_COLUMNS, csvOptions),
+      format: 'csv',
+      rowCount: 1
+    }, {
+      filename: getExportFilename(conversations, 'knowledge', 'csv'),
+      content: generateCSV(knowledgeRows.map(formatRowTimestamps), KNOWLEDGE_COLUMNS, csvOptions),
+      format: 'csv',
+      rowCount: knowledgeRows.length
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Build the artifacts table CSV (one row per artifact version) of the CSV formats
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }, empty without artifacts
+ */
+function buildArtifactTableFiles(conversations) {
+  const artifactRows = collectArtifacts(conversations).rows;
+  if (artifactRows.length === 0) {
+    return [];
+  }
+
+  return [{
+    filename: getExportFilename(conversations, 'artifacts', 'csv'),
+    content: generateCSV(artifactRows.map(formatRowTimestamps), ARTIFACT_COLUMNS, getCSVDialect()),
+    format: 'csv',
+    rowCount: artifactRows.length
+  }];
+}
+
+/**
+ * Build one file per artifact version (utils/artifacts.js)
+ * Added for every format, like the knowledge document files.
+ * @returns {Array<Object>} Array of { filename, bundlePath, content, format, rowCount }
+ */
+function buildArtifactFiles(conversations) {
+  return collectArtifacts(conversations).files.map(artifact => ({
+    filename: artifact.path,
+    bundlePath: artifact.path,
+    content: artifact.content,
+    format: 'artifact',
+    rowCount: null
+  }));
+}
+
+/**
+ * Build the knowledge document files of a project export
+ * Added for every format; the manifest lists the project with its instructions.
+ * @returns {Array<Object>} Array of { filename, bundlePath, content, format, rowCount }
+ */
+function buildKnowledgeFiles(project) {
+  return collectKnowledgeDocuments(project).files.map(document => ({
+    filename: document.path,
+    bundlePath: document.path,
+    content: document.content,
+    format: 'artifact',
+    rowCount: null
+  }));
+}
+
+/**
+ * Build the prompt–response pairs CSV (one row per exchange of the active thread)
+ * The message column selection does not apply; see EXCHANGE_COLUMNS.
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }
+ */
+function buildExchangeFiles(conversations) {
+  const exchangeRows = conversations.flatMap(conversationToExchangeRows).map(formatRowTimestamps);
+  if (exchangeRows.length === 0) {
+    return [];
+  }
+
+  return [{
+    filename: getExportFilename(conversations, 'exchanges', 'exchanges'),
+    content: generateCSV(exchangeRows, EXCHANGE_COLUMNS, getCSVDialect()),
+    format: 'exchanges',
+    rowCount: exchangeRows.length
+  }, ...buildArtifactTableFiles(conversations)];
+}
+
+/**
+ * Build the JSON (normalized) file for normalized conversations
+ * A single conversation keeps the one-conversation document layout.
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }
+ */
+function buildJSONFiles(conversations, context) {
+  const messageCount = countMessages(conversations);
+  if (messageCount === 0) {
+    return [];
+  }
+
+  return [{
+    filename: getExportFilename(conversations, 'conversation', 'json'),
+    content: conversations.length === 1 ?
+      generateConversationJSON(conversations[0], context.columns) :
+      generateConversationsJSON(conversations, context.columns),
+    format: 'json',
+    rowCount: messageCount
+  }];
+}
+
+/**
+ * Build one Markdown transcript per normalized conversation
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }
+ */
+function buildMarkdownFiles(conversations) {
+  return conversations
+    .filter(conversation => conversation.messages.length > 0)
+    .map(conversation => ({
+      filename: getExportFilename([conversation], 'transcript', 'markdown'),
+      content: generateConversationMarkdown(conversation),
+      format: 'markdown',
+      rowCount: conversation.messages.length
+    }));
+}
+
+/**
+ * Build one self-contained HTML transcript per normalized conversation
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }
+ */
+function buildHTMLFiles(conversations) {
+  return conversations
+    .filter(conversation => conversation.messages.length > 0)
+    .map(conversation => ({
+      filename: getExportFilename([conversation], 'transcript', 'html'),
+      content: generateConversationHTML(conversation),
+      format: 'html',
+      rowCount: conversation.messages.length
+    }));
+}
+
+/**
+ * Build the XLSX workbook (metadata, messages and attachments sheets)
+ * for normalized conversations
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }
+ */
+function buildXLSXFiles(conversations, context) {
+  const messageCount = countMessages(conversations);
+  if (messageCount === 0) {
+    return [];
+  }
+
+  return [{
+    filename: getExportFilename(conversations, 'conversation', 'xlsx'),
+    content: generateConversationsXLSX(conversations, context.columns, hasContentBlocks(conversations[0].platform)),
+    format: 'xlsx',
+    rowCount: messageCount
+  }];
+}
+
+/**
+ * Build one GraphML message graph per normalized conversation
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }
+ */
+function buildGraphMLFiles(conversations, context) {
+  return conversations
+    .filter(conversation => conversation.messages.length > 0)
+    .map(conversation => ({
+      filename: getExportFilename([conversation], 'graph', 'graphml'),
+      content: generateConversationGraphML(conversation, context.columns),
+      format: 'graphml',
+      rowCount: conversation.messages.length
+    }));
+}
+
+/**
+ * Build one Graphviz DOT message graph per normalized conversation
+ * @returns {Array<Object>} Array of { filename, content, format, rowCount }
+ */
+function buildDOTFiles(conversations, context) {
+  return conversations
+    .filter(conversation => conversation.messages.length > 0)
+    .map(conversation => ({
+      filename: getExportFilename([conversation], 'graph', 'dot'),
+      content: generateConversationDOT(conversation, context.columns),
+      format: 'dot',
+      rowCount: conversation.messages.length
+    }));
+}
+
+/**
+ * Count the messages across conversations
+ */
+function countMessages(conversations) {
+  return conversations.reduce((sum, conversation) => sum + conversation.messages.length, 0);
+}
+
+/**
+ * File builders per export format (keys match EXTENSION_CONFIG.exportFormats)
+ * Each is called with (conversations, context); transcripts ignore the column selection.
+ */
+const FILE_BUILDERS = {
+  csv: buildCSVFiles,
+  exchanges: buildExchangeFiles,
+  json: buildJSONFiles,
+  markdown: buildMarkdownFiles,
+  html: buildHTMLFiles,
+  xlsx: buildXLSXFiles,
+  graphml: buildGraphMLFiles,
+  dot: buildDOTFiles
+};
+
+/**
+ * Check whether an export format writes CSV files (messages or exchanges)
+ */
+function isCSVFormat(format) {
+  return EXTENSION_CONFIG.exportFormats[format]?.extension === 'csv';
+}
+
+/**
+ * MIME type of artifact and knowledge document files (stored as plain text whatever their language)
+ */
+const ARTIFACT_MIME_TYPE = 'text/plain;charset=utf-8;';
+
+/**
+ * Get the path of a file inside a ZIP bundle
+ * Exported files drop the folders of their template; artifact and knowledge files keep theirs.
+ */
+function getBundlePath(file) {
+  return file.bundlePath || getBaseFilename(file.filename);
+}
+
+/**
+ * Create a download blob for a generated file
+ * CSV files get the UTF-8 BOM unless turned off; other formats use their configured MIME type.
+ */
+function createFileBlob(file) {
+  if (isCSVFormat(file.format)) {
+    return createCSVBlob(file.content, preferences.csvIncludeBOM);
+  }
+  if (file.format === 'artifact') {
+    return new Blob([file.content], { type: ARTIFACT_MIME_TYPE });
+  }
+  const format = EXTENSION_CONFIG.exportFormats[file.format];
+  return new Blob([file.content], { type: format.mimeType });
+}
+
+/**
+ * Build the manifest stored inside a bundled export
+ * CSV exports also record the dialect so the files can be read back exactly,
+ * including whether values were prefixed against formula injection.
+ * Project exports record the project with its instructions and documents,
+ * and exports with Claude artifacts list every artifact version, so transcript
+ * and graph formats also get the artifacts table.
+ * @param {Object} context - { filters, branchMode, columns, project } of the export
+ * @returns {Object} Manifest listing the conversations and each file with its row count
+ */
+function buildExportManifest(conversations, format, files, context) {
+  const dialect = getCSVDialect();
+
+  return {
+    exported_at: new Date().toISOString(),
+    platform: conversations[0].platform,
+    format: format,
+    // Exchanges are always built from the active thread, with their own columns
+    branch_mode: format === 'exchanges' ? 'active' : context.branchMode || 'all',
+    // Markdown and HTML transcripts ignore the column selection
+    columns: format === 'exchanges' ? EXCHANGE_COLUMNS
+      : format === 'markdown' || format === 'html' ? null
+      : context.columns || MESSAGE_COLUMNS,
+    filters: context.filters || null,
+    // Bulk filters only use fields of the conversation list (shared/bulk-filters.js)
+    filter_note: context.filters
+      ? 'Filters were checked against the conversation list before fetching; conversations the list could not match were never fetched.'
+      : null,
+    project: context.project ? {
+      project_id: context.project.project_id,
+      name: context.project.name,
+      description: context.project.description,
+      instructions: context.project.instructions,
+      is_private: context.project.is_private,
+      created_at: context.project.created_at,
+      updated_at: context.project.updated_at,
+      knowledge_documents: collectKnowledgeDocuments(context.project).rows.map(row => ({
+        document_id: row.document_id,
+        file_name: row.file_name,
+        created_at: row.created_at,
+        content_length: row.content_length,
+        export_file: row.export_file
+      }))
+    } : null,
+    csv: isCSVFormat(format) ? {
+      delimiter: dialect.delimiter,
+      line_ending: dialect.lineEnding,
+      quoting: dialect.quoting,
+      formula_protection: dialect.formulaProtection,
+      bom: preferences.csvIncludeBOM,
+      timestamp_format: preferences.timestampFormat
+    } : null,
+    conversation_count: conversations.length,
+    conversations: conversations.map(conversation => ({
+      conversation_id: conversation.conversation_id,
+      title: conversation.title,
+      messages: conversation.messages.length
+    })),
+    artifacts: collectArtifacts(conversations).rows,
+    files: files.map(file => ({
+      filename: getBundlePath(file),
+      format: file.format,
+      rows: file.rowCount
+    }))
+  };
+}
+
+/**
+ * Package an export's files and a manifest.json into one ZIP blob
+ * @returns {Promise<Blob>} ZIP archive
+ */
+async function createBundleBlob(conversations, format, files, context) {
+  const entries = [];
+  for (const file of files) {
+    const blob = createFileBlob(file);
+    entries.push({ name: getBundlePath(file), data: new Uint8Array(await blob.arrayBuffer()) });
+  }
+
+  const manifest = buildExportManifest(conversations, format, files, context);
+  entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+  const archive = await createCompressedZip(entries);
+  return new Blob([archive], { type: 'application/zip' });
+}
+
+/**
+ * Trigger a browser download for a blob and release its object URL afterwards
+ * @returns {Promise<void>}
+ */
+function downloadBlob(platform, blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  return browser.downloads.download({
+    url: url,
+    filename: filename,
+    saveAs: false
+  }).then(() => {
+    console.log(`[${platform}] ✓ Download triggered`, {
+      filename: filename
+    });
+
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+    }, 1000);
+  }).catch(error => {
+    console.error(`[${platform}] ✗ Download failed:`, error);
+    URL.revokeObjectURL(url);
+  });
+}
+
+/**
+ * Download each file separately, staggered so the browser handles them all
+ * Used only when bundling fails.
+ */
+function downloadFilesSeparately(platform, files) {
+  files.forEach((file, index) => {
+    setTimeout(() => {
+      downloadBlob(platform, createFileBlob(file), file.filename);
+    }, index * 500);
+  });
+}
+
+/**
+ * Build and download the export for normalized conversations
+ * Single-file exports download directly; multi-file exports are bundled
+ * into one ZIP archive with a manifest. Filtered and project exports are
+ * always bundled so the manifest records the filters and the project.
+ * @param {Object} [context] - { filters, branchMode, columns, project } recorded in the manifest
+ */
+async function exportConversations(platform, conversations, format, context = {}) {
+  let files;
+  try {
+    files = FILE_BUILDERS[format](conversations, { columns: MESSAGE_COLUMNS, ...context });
+    if (files.length > 0) {
+      files.push(...buildArtifactFiles(conversations));
+    }
+    if (files.length > 0 && context.project) {
+      files.push(...buildKnowledgeFiles(context.project));
+    }
+  } catch (error) {
+    console.error(`[${platform}] Error generating export files:`, error);
+    return;
+  }
+
+  if (files.length === 0) {
+    console.warn(`[${platform}] No data extracted from conversation`);
+    return;
+  }
+
+  // A template without {kind} gives e.g. the CSV metadata and messages files one name;
+  // artifact and knowledge files are already unique within their folder
+  const templatedFiles = files.filter(file => !file.bundlePath);
+  makeFilenamesUnique(templatedFiles.map(file => file.filename)).forEach((filename, index) => {
+    templatedFiles[index].filename = filename;
+  });
+
+  // CSV exports are always bundled so the manifest records the dialect and formula protection
+  if (files.length === 1 && !context.filters && !context.project && !isCSVFormat(format)) {
+    await downloadBlob(platform, createFileBlob(files[0]), files[0].filename);
+    return;
+  }
+
+  try {
+    const bundleFilename = getExportFilename(conversations, 'export', format, 'zip');
+    const bundle = await createBundleBlob(conversations, format, files, context);
+    await downloadBlob(platform, bundle, bundleFilename);
+  } catch (error) {
+    console.error(`[${platform}] Failed to bundle export, downloading files separately:`, error);
+    downloadFilesSeparately(platform, files);
+  }
+}
+
 /**
  * Handle conversation data from any platform
  */
-function handleConversationData(message) {
+async function handleConversationData(message) {
   const platform = message.platform || 'unknown';
   const conversationData = message.payload;
 
@@ -252,89 +809,101 @@ function handleConversationData(message) {
     return;
   }
 
-  console.log(`[${platform}] Processing conversation data (validated)`);
+  await preferencesLoaded;
+  const format = resolveExportFormat(message.options);
+  const branchMode = resolveBranchMode(message.options);
+  const columns = resolveExportColumns(message.options);
 
+  console.log(`[${platform}] Processing conversation data (validated)`, { format, branchMode });
+
+  let conversation;
   try {
-    // Get platform-specific handler
-    let rows;
-    let csvFiles = []; // Array of { filename, content }
-
-    if (platform === 'chatgpt') {
-      // Use the new extractor which returns multiple CSVs
-      if (typeof extractChatGPTConversation === 'function') {
-        const result = extractChatGPTConversation(conversationData);
-
-        const conversationId = conversationData.conversation_id || conversationData.id || 'unknown';
-        const idShort = conversationId.substring(0, 8);
-
-        csvFiles.push({
-          filename: generateFilename(`chatgpt_metadata`, idShort),
-          content: result.metadataCSV
-        });
-
-        csvFiles.push({
-          filename: generateFilename(`chatgpt_messages`, idShort),
-          content: result.messagesCSV
-        });
-      } else {
-        console.error('[ChatGPT] Extractor function not found');
-        return;
-      }
-    } else if (platform === 'claude' && ClaudeHandler) {
-      rows = ClaudeHandler.flattenConversationData(conversationData);
-    } else if (platform === 'copilot' && CopilotHandler) {
-      rows = CopilotHandler.flattenConversationData(conversationData);
-    } else {
-      console.error(`[${platform}] No handler found for platform`);
+    // Map the platform payload into the shared schema read by every exporter
+    conversation = prepareConversation(platform, conversationData, branchMode);
+  } catch (error) {
+    console.error(`[${platform}] Error processing conversation data:`, error);
+    return;
+  }
+
+  await exportConversations(platform, [conversation], format, { branchMode, columns });
+}
+
+/**
+ * Bulk exports being received in batches (utils/bulk-transfer.js)
+ */
+const bulkTransfers = createBulkTransferStore();
+
+/**
+ * Handle a bulk export: many conversations merged into one dataset
+ * Conversations arrive either in the message (`message.payloads`, e.g. a popup
+ * selection) or in earlier batches (`message.exportId`, see utils/bulk-transfer.js).
+ * Conversations that fail validation or normalization are skipped.
+ * Project exports also carry the raw project (`message.project`).
+ */
+async function handleBulkConversationData(message) {
+  const platform = message.platform || 'unknown';
+  let payloads = message.payloads;
+
+  if (message.exportId !== undefined) {
+    payloads = bulkTransfers.take(message.exportId, platform);
+  } else if (Array.isArray(payloads)) {
+    const size = measurePayloads(payloads);
+    if (size > MAX_BULK_EXPORT_SIZE) {
+      console.error(`[${platform}] ${getBulkSizeError(size)}`);
       return;
     }
+  }
 
-    // If we have rows (legacy single CSV path), convert to csvFiles format
-    if (rows && rows.length > 0) {
-      const csv = generateCSV(rows);
-      const conversationId = conversationData.conversation_id || conversationData.id || 'unknown';
-      const idShort = conversationId.substring(0, 8);
-      const filename = generateFilename(`${platform}_conversation`, idShort);
-
-      csvFiles.push({
-        filename: filename,
-        content: csv
-      });
-    } else if (csvFiles.length === 0) {
-      console.warn(`[${platform}] No data extracted from conversation`);
-      return;
+  if (!Array.isArray(payloads) || payloads.length === 0) {
+    console.error(`[${platform}] No conversations in bulk export message`);
+    return;
+  }
+
+  await preferencesLoaded;
+  const format = resolveExportFormat(message.options);
+  const filters = resolveExportFilters(message.options);
+  const branchMode = resolveBranchMode(message.options);
+  const columns = resolveExportColumns(message.options);
+  const conversations = [];
+
+  let project = null;
+  if (message.project) {
+    try {
+      project = prepareProject(platform, message.project);
+    } catch (error) {
+      console.warn(`[${platform}] Exporting without the project that failed to normalize:`, error);
     }
+  }
 
-    // Process all CSV files
-    csvFiles.forEach((file, index) => {
-      // Create blob with UTF-8 BOM
-      const blob = createCSVBlob(file.content);
-      const url = URL.createObjectURL(blob);
-
-      // Trigger download with a small delay between files to ensure browser handles them
-      setTimeout(() => {
-        browser.downloads.download({
-          url: url,
-          filename: file.filename,
-          saveAs: false
-        }).then(() => {
-          console.log(`[${platform}] ✓ Download triggered`, {
-            filename: file.filename
-          });
-
-          setTimeout(() => {
-            URL.revokeObjectURL(url);
-          }, 1000);
-        }).catch(error => {
-          console.error(`[${platform}] ✗ Download failed:`, error);
-          URL.revokeObjectURL(url);
-        });
-      }, index * 500);
-    });
+  for (const conversationData of payloads) {
+    const validation = validateConversationData(conversationData, platform);
+    if (!validation.isValid) {
+      console.warn(`[${platform}] Skipping invalid conversation in bulk export:`, validation.error);
+      continue;
+    }
 
-  } catch (error) {
-    console.error(`[${platform}] Error processing conversation data:`, error);
+    try {
+      conversations.push(prepareConversation(platform, conversationData, branchMode));
+    } catch (error) {
+      console.warn(`[${platform}] Skipping conversation that failed to normalize:`, error);
+    }
+  }
+
+  console.log(`[${platform}] Processing bulk export`, {
+    format,
+    filters,
+    branchMode,
+    project: project ? project.project_id : null,
+    received: payloads.length,
+    valid: conversations.length
+  });
+
+  if (conversations.length === 0) {
+    console.warn(`[${platform}] No valid conversations in bulk export`);
+    return;
   }
+
+  await exportConversations(platform, conversations, format, { filters, branchMode, columns, project });
 }
 
 /**
@@ -375,7 +944,8 @@ browser.runtime.onMessage.addListener((message, sender) => {
   if (message.type === 'CHATGPT_CONVERSATION_DATA') {
     handleConversationData({
       platform: message.platform || 'chatgpt',
-      payload: message.payload
+      payload: message.payload,
+      options: message.options
     });
     return false;
   }
@@ -384,7 +954,8 @@ browser.runtime.onMessage.addListener((message, sender) => {
   if (message.type === 'CLAUDE_CONVERSATION_DATA') {
     handleConversationData({
       platform: message.platform || 'claude',
-      payload: message.payload
+      payload: message.payload,
+      options: message.options
     });
     return false;
   }
@@ -393,7 +964,39 @@ browser.runtime.onMessage.addListener((message, sender) => {
   if (message.type === 'COPILOT_CONVERSATION_DATA') {
     handleConversationData({
       platform: message.platform || 'copilot',
-      payload: message.payload
+      payload: message.payload,
+      options: message.options
+    });
+    return false;
+  }
+
+  // Receive account-wide bulk exports in batches; the reply tells the content script to stop
+  if (message.type === 'BULK_EXPORT_BATCH') {
+    const result = bulkTransfers.receiveBatch({
+      platform: message.platform,
+      exportId: message.exportId,
+      payloads: message.payloads
+    });
+    if (!result.success) {
+      console.warn(`[${message.platform}] Bulk export batch refused:`, result.error);
+    }
+    return Promise.resolve(result);
+  }
+
+  // Drop the batches of a bulk export that was cancelled or failed in the page
+  if (message.type === 'BULK_EXPORT_DISCARD') {
+    bulkTransfers.discard(message.exportId, message.platform);
+    return false;
+  }
+
+  // Handle multi-conversation exports (account-wide bulk export or popup selection)
+  if (message.type === 'BULK_CONVERSATION_DATA') {
+    handleBulkConversationData({
+      platform: message.platform,
+      exportId: message.exportId,
+      payloads: message.payloads,
+      project: message.project,
+      options: message.options
     });
     return false;
   }
@@ -411,7 +1014,7 @@ console.log('AI Chat Exporter: Main background script loaded at ' + new Date().t
 const criticalFunctions = {
   validateConversationData,
   escapeCSVField,
-  extractChatGPTConversation
+  normalizeConversation
 };
 
 // Simple function fingerprinting for runtime integrity
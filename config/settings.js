@@ -24,7 +24,9 @@ export const EXTENSION_CONFIG = {
       enabled: true,
       contentScript: 'platforms/chatgpt/content.js',
       injectScript: 'platforms/chatgpt/inject.js',
-      backgroundHandler: 'chatgpt'
+      backgroundHandler: 'chatgpt',
+      supportsBulkExport: true,
+      supportsBranches: true
     },
     claude: {
       name: 'Claude',
@@ -32,7 +34,11 @@ export const EXTENSION_CONFIG = {
       enabled: true,
       contentScript: 'platforms/claude/content.js',
       injectScript: 'platforms/claude/inject.js',
-      backgroundHandler: 'ClaudeHandler'
+      backgroundHandler: 'claude',
+      supportsBulkExport: true,
+      supportsBranches: true,
+      supportsContentBlocks: true,
+      supportsProjectExport: true
     },
     copilot: {
       name: 'Co-pilot',
@@ -44,13 +50,86 @@ export const EXTENSION_CONFIG = {
     }
   },
 
-  // CSV export settings
-  csv: {
-    includeBOM: true, // UTF-8 BOM for Excel compatibility
-    dateFormat: 'YYYY-MM-DD_HH-MM-SS',
-    filenamePrefix: 'conversation_export'
+  // Export formats offered in the popup
+  // Keys are sent as `options.format` with EXPORT_CONVERSATION requests.
+  exportFormats: {
+    csv: {
+      label: 'CSV',
+      extension: 'csv',
+      mimeType: 'text/csv;charset=utf-8;'
+    },
+    exchanges: {
+      label: 'CSV (prompt–response pairs)',
+      extension: 'csv',
+      mimeType: 'text/csv;charset=utf-8;'
+    },
+    json: {
+      label: 'JSON (normalized)',
+      extension: 'json',
+      mimeType: 'application/json;charset=utf-8;'
+    },
+    markdown: {
+      label: 'Markdown',
+      extension: 'md',
+      mimeType: 'text/markdown;charset=utf-8;'
+    },
+    html: {
+      label: 'HTML',
+      extension: 'html',
+      mimeType: 'text/html;charset=utf-8;'
+    },
+    xlsx: {
+      label: 'Excel (XLSX)',
+      extension: 'xlsx',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    },
+    graphml: {
+      label: 'Graph (GraphML)',
+      extension: 'graphml',
+      mimeType: 'application/graphml+xml;charset=utf-8;'
+    },
+    dot: {
+      label: 'Graph (Graphviz DOT)',
+      extension: 'dot',
+      mimeType: 'text/vnd.graphviz;charset=utf-8;'
+    }
+  },
+
+  // Branch handling for platforms with supportsBranches
+  // Keys are sent as `options.branchMode` with export requests.
+  branchModes: {
+    all: {
+      label: 'All branches'
+    },
+    active: {
+      label: 'Active thread only'
+    }
   },
 
+  // Message column presets offered in the popup (names from MESSAGE_COLUMNS in utils/schema.js)
+  // A preset without `columns` selects every message column.
+  // The chosen columns are sent as `options.columns` with export requests.
+  columnPresets: {
+    full: {
+      label: 'Research full'
+    },
+    readme: {
+      label: 'README schema',
+      columns: [
+        'conversation_id', 'message_id', 'parent_id', 'role', 'content_type', 'text',
+        'has_image', 'image_ids', 'created_at', 'status', 'end_turn', 'is_visually_hidden',
+        'model', 'tool_name'
+      ]
+    },
+    minimal: {
+      label: 'Minimal',
+      columns: ['conversation_id', 'message_id', 'role', 'text', 'created_at']
+    }
+  },
+
+  // CSV dialect, timestamp format and the filename template are user
+  // preferences (shared/preferences.js)
+
   // Debug settings
   debug: {
     enabled: false, // Set to true for verbose logging
@@ -67,6 +146,12 @@ export const EXTENSION_CONFIG = {
  * @property {string} contentScript          Path to content script
  * @property {string} [injectScript]         Path to inject script (optional)
  * @property {string} backgroundHandler      Background handler identifier
+ * @property {boolean} [supportsBulkExport]  Whether the whole account can be exported (optional)
+ * @property {boolean} [supportsBranches]    Whether messages form a branch tree (optional)
+ * @property {boolean} [supportsContentBlocks] Whether messages mix text, thinking and tool blocks,
+ *                                           exported as a blocks table (optional)
+ * @property {boolean} [supportsProjectExport] Whether a project (instructions, knowledge documents
+ *                                           and its conversations) can be exported (optional)
  */
 
 /**
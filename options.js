@@ -0,0 +1,247 @@
+/**
+ * options.js - Settings Page Logic
+ *
+ * Edits the preferences stored by shared/preferences.js. Every change is
+ * saved immediately; the popup, content scripts and background script pick
+ * it up through Preferences.onChanged.
+ */
+
+import { EXTENSION_CONFIG } from './config/settings.js';
+import { MESSAGE_COLUMNS, resolveMessageColumns } from './utils/schema.js';
+import { FILENAME_TOKENS, renderFilename } from './utils/filename.js';
+
+/**
+ * Prefix of column preset values that refer to user presets (as in popup.js)
+ */
+const SAVED_PRESET_PREFIX = 'saved:';
+
+/**
+ * Checkbox preferences (element IDs match the preference names)
+ */
+const CHECKBOX_PREFERENCES = [
+  'csvIncludeBOM', 'mergeThinking', 'keepCapturedConversations', 'includeAttachmentContent', 'debug'
+];
+
+/**
+ * Select preferences saved as-is (element IDs match the preference names)
+ */
+const SELECT_PREFERENCES = [
+  'format', 'branchMode', 'csvDelimiter', 'csvLineEnding', 'csvQuoting', 'csvFormulaProtection', 'timestampFormat'
+];
+
+/**
+ * Conversation used for the filename preview
+ */
+const SAMPLE_CONVERSATION = {
+  platform: 'chatgpt',
+  conversation_id: '6f1c2a9e-3b4d-4e5f-8a7b-9c0d1e2f3a4b',
+  title: 'Survey coding: round 2',
+  model: 'gpt-4o'
+};
+
+/**
+ * How long the saved status stays visible (ms)
+ */
+const STATUS_DURATION = 2000;
+
+let preferences = Preferences.normalize(null);
+let statusTimer = null;
+
+/**
+ * Fill a select with options
+ * @param {string} id - Element ID
+ * @param {Array<[string, string]>} entries - [value, label] pairs
+ */
+function fillSelect(id, entries) {
+  const select = document.getElementById(id);
+  select.replaceChildren();
+  for (const [value, label] of entries) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * Get the columns of a built-in or saved preset
+ * @param {string} presetId - Value of the column preset select
+ * @returns {Array<string>|null} Columns, or null for an unknown preset
+ */
+function getColumnPresetColumns(presetId) {
+  if (presetId.startsWith(SAVED_PRESET_PREFIX)) {
+    const columns = preferences.savedColumnPresets[presetId.substring(SAVED_PRESET_PREFIX.length)];
+    return columns ? resolveMessageColumns(columns) : null;
+  }
+
+  const preset = EXTENSION_CONFIG.columnPresets[presetId];
+  if (!preset) return null;
+  return preset.columns ? resolveMessageColumns(preset.columns) : MESSAGE_COLUMNS;
+}
+
+/**
+ * Render the column preset select and summary
+ * A custom selection (made in the popup) is shown but cannot be chosen here.
+ */
+function renderColumnPresets() {
+  const entries = Object.entries(EXTENSION_CONFIG.columnPresets).map(([presetId, preset]) => [presetId, preset.label]);
+  Object.keys(preferences.savedColumnPresets).sort().forEach(name => {
+    entries.push([SAVED_PRESET_PREFIX + name, `Saved: ${name}`]);
+  });
+
+  const columns = resolveMessageColumns(preferences.columns);
+  const presetColumns = getColumnPresetColumns(preferences.columnPreset);
+  const isCustom = !presetColumns || presetColumns.join(',') !== columns.join(',');
+  if (isCustom) {
+    entries.push(['custom', 'Custom (chosen in the popup)']);
+  }
+
+  fillSelect('columnPreset', entries);
+  const select = document.getElementById('columnPreset');
+  select.value = isCustom ? 'custom' : preferences.columnPreset;
+  const customOption = select.querySelector('option[value="custom"]');
+  if (customOption) customOption.disabled = true;
+
+  document.getElementById('columnSummary').textContent = columns.length === MESSAGE_COLUMNS.length ?
+    `All ${MESSAGE_COLUMNS.length} message columns are exported.` :
+    `${columns.length} of ${MESSAGE_COLUMNS.length} message columns are exported: ${columns.join(', ')}.`;
+}
+
+/**
+ * Show an example filename for a template
+ * @param {string} template - Filename template as typed
+ */
+function renderFilenamePreview(template) {
+  const example = renderFilename(template, {
+    conversations: [SAMPLE_CONVERSATION],
+    participant: EXTENSION_CONFIG.platforms[SAMPLE_CONVERSATION.platform].name,
+    kind: 'conversation',
+    format: 'csv',
+    extension: 'csv'
+  });
+  document.getElementById('filenamePreview').textContent = `Example: ${example}`;
+}
+
+/**
+ * List the filename template tokens
+ */
+function renderFilenameTokens() {
+  const list = document.getElementById('filenameTokens');
+  for (const [token, description] of Object.entries(FILENAME_TOKENS)) {
+    const term = document.createElement('dt');
+    const definition = document.createElement('dd');
+    term.textContent = `{${token}}`;
+    definition.textContent = description;
+    list.append(term, definition);
+  }
+}
+
+/**
+ * Show the stored preferences in the form
+ * @param {Object} updated - Complete preferences
+ */
+function render(updated) {
+  preferences = updated;
+
+  for (const id of SELECT_PREFERENCES) {
+    document.getElementById(id).value = preferences[id];
+  }
+  for (const id of CHECKBOX_PREFERENCES) {
+    document.getElementById(id).checked = preferences[id];
+  }
+  document.getElementById('filenameTemplate').value = preferences.filenameTemplate;
+  renderFilenamePreview(preferences.filenameTemplate);
+  renderColumnPresets();
+}
+
+/**
+ * Briefly show a save result
+ * @param {string} message - Status text
+ */
+function showStatus(message) {
+  const status = document.getElementById('saveStatus');
+  status.textContent = message;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    status.textContent = '';
+  }, STATUS_DURATION);
+}
+
+/**
+ * Save changed preferences and show the result
+ * @param {Object} changes - Preferences to update
+ */
+async function saveChanges(changes) {
+  try {
+    render(await Preferences.save(changes));
+    showStatus('Saved');
+  } catch (error) {
+    console.error('[options] Failed to save preferences:', error);
+    showStatus('Could not save settings');
+  }
+}
+
+/**
+ * Handle a change of any form control
+ * @param {Event} event - Change event bubbling from the form
+ */
+function handleChange(event) {
+  const { id } = event.target;
+
+  if (CHECKBOX_PREFERENCES.includes(id)) {
+    saveChanges({ [id]: event.target.checked });
+  } else if (SELECT_PREFERENCES.includes(id)) {
+    saveChanges({ [id]: event.target.value });
+  } else if (id === 'filenameTemplate') {
+    // An empty template is not saved; render() restores the stored one
+    saveChanges({ filenameTemplate: event.target.value });
+  } else if (id === 'columnPreset') {
+    const columns = getColumnPresetColumns(event.target.value);
+    if (columns) {
+      saveChanges({ columns, columnPreset: event.target.value });
+    }
+  }
+}
+
+/**
+ * Restore every preference, including saved column presets, to its default
+ */
+async function handleReset() {
+  try {
+    render(await Preferences.reset());
+    showStatus('Defaults restored');
+  } catch (error) {
+    console.error('[options] Failed to restore defaults:', error);
+    showStatus('Could not restore defaults');
+  }
+}
+
+/**
+ * Initialize the settings page
+ */
+async function init() {
+  fillSelect('format', Object.entries(EXTENSION_CONFIG.exportFormats).map(([formatId, format]) => [formatId, format.label]));
+  fillSelect('branchMode', Object.entries(EXTENSION_CONFIG.branchModes).map(([modeId, mode]) => [modeId, mode.label]));
+  fillSelect('csvDelimiter', Object.entries(Preferences.CSV_DELIMITERS));
+  fillSelect('csvLineEnding', Object.entries(Preferences.CSV_LINE_ENDINGS));
+  fillSelect('csvQuoting', Object.entries(Preferences.CSV_QUOTING));
+  fillSelect('csvFormulaProtection', Object.entries(Preferences.CSV_FORMULA_PROTECTION));
+  fillSelect('timestampFormat', Object.entries(Preferences.TIMESTAMP_FORMATS));
+  renderFilenameTokens();
+
+  render(await Preferences.load());
+  Preferences.onChanged(render);
+
+  document.getElementById('optionsForm').addEventListener('change', handleChange);
+  document.getElementById('optionsForm').addEventListener('submit', event => event.preventDefault());
+  document.getElementById('filenameTemplate').addEventListener('input', event => {
+    renderFilenamePreview(event.target.value);
+  });
+  document.getElementById('resetBtn').addEventListener('click', handleReset);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  init().catch(error => {
+    console.error('[options] Unhandled error during init:', error);
+  });
+});
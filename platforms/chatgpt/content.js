@@ -14,18 +14,36 @@
   const MESSAGE_TYPE = 'CHATGPT_CONVERSATION_DATA';
   const SOURCE_ID = 'chatgpt-exporter-inject';
 
+  // Bulk export channel (content script <-> page script)
+  const BULK_MESSAGE_TYPE = 'CHATGPT_BULK_EXPORT';
+  const BULK_COMMAND_TYPE = 'CHATGPT_BULK_COMMAND';
+  const CONTENT_SOURCE_ID = 'chatgpt-exporter-content';
+  const BULK_BATCH_SIZE = 20; // Conversations per message to the background
+
+  // Conversation index channel (sidebar list responses from the page script)
+  const INDEX_MESSAGE_TYPE = 'CHATGPT_CONVERSATION_INDEX';
+
   // Logging configuration
-  const DEBUG_MODE = false; // Set to true for development, false for production
+  let debugMode = false; // Set from the debug preference (shared/preferences.js)
 
   // Memory management configuration
   const MAX_STORED_CONVERSATIONS = 50;
   const MAX_CONVERSATION_AGE_MS = 3600000; // 1 hour
+  let keepCapturedConversations = true; // Privacy preference: false keeps only the latest capture
   const CLEANUP_INTERVAL_MS = 300000; // 5 minutes
+  const MAX_INDEX_ENTRIES = 5000; // Conversation index entries kept from list responses
 
   // Store captured conversations in memory with timestamps
   const capturedConversations = new Map();
   const conversationTimestamps = new Map();
 
+  // Lightweight index of conversations the sidebar has listed (id -> entry)
+  const conversationIndex = new Map();
+
+  // Current bulk export session: { status, batch, exportId, sent, sending, refused, options }
+  // Kept after completion so a reopened popup can show the final status.
+  let bulkSession = null;
+
   // Generate a cryptographic secret for message signing
   let SECRET_KEY = null;
   MessageSecurity.generateSecretKey().then(key => {
@@ -61,7 +79,7 @@
    * Log debug message (only in debug mode)
    */
   function logDebug(message, data = null) {
-    if (!DEBUG_MODE) return;
+    if (!debugMode) return;
     if (data) {
       console.log(`[${PLATFORM}] [DEBUG]`, message, redactSensitiveData(data));
     } else {
@@ -109,6 +127,10 @@
    * Implements LRU (Least Recently Used) eviction when limit is reached
    */
   function storeConversation(id, data) {
+    if (!keepCapturedConversations) {
+      discardOtherConversations(id);
+    }
+
     // Clean up oldest conversation if at limit
     if (capturedConversations.size >= MAX_STORED_CONVERSATIONS) {
       // Find oldest conversation by timestamp
@@ -134,6 +156,18 @@
     conversationTimestamps.set(id, Date.now());
   }
 
+  /**
+   * Count the user and assistant messages in a captured conversation
+   */
+  function countMessages(data) {
+    return Object.values(data.mapping || {}).filter(node => {
+      const message = node && node.message;
+      return message &&
+        ['user', 'assistant'].includes(message.author?.role) &&
+        !message.metadata?.is_visually_hidden_from_conversation;
+    }).length;
+  }
+
   /**
    * Clean up old conversations based on age
    */
@@ -157,6 +191,35 @@
   // Start periodic cleanup
   setInterval(cleanupOldConversations, CLEANUP_INTERVAL_MS);
 
+  /**
+   * Forget every captured conversation except one
+   */
+  function discardOtherConversations(keepId) {
+    for (const id of Array.from(capturedConversations.keys())) {
+      if (id !== keepId) {
+        capturedConversations.delete(id);
+        conversationTimestamps.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Apply user preferences (shared/preferences.js)
+   * Turning off keepCapturedConversations drops all but the latest capture.
+   */
+  function applyPreferences(preferences) {
+    debugMode = preferences.debug;
+    keepCapturedConversations = preferences.keepCapturedConversations;
+
+    if (!keepCapturedConversations && capturedConversations.size > 1) {
+      const [latestId] = Array.from(conversationTimestamps.entries()).sort((a, b) => b[1] - a[1])[0];
+      discardOtherConversations(latestId);
+    }
+  }
+
+  Preferences.load().then(applyPreferences);
+  Preferences.onChanged(applyPreferences);
+
 
 
   /**
@@ -247,6 +310,305 @@
     });
   });
 
+  // ============================================================================
+  // CONVERSATION INDEX
+  // ============================================================================
+
+  /**
+   * Validate an index entry received from the page script
+   * @returns {Object|null} Entry with only the expected fields, or null when invalid
+   */
+  function sanitizeIndexEntry(entry) {
+    if (!entry || typeof entry.id !== 'string' || !/^[a-zA-Z0-9-]+$/.test(entry.id)) {
+      return null;
+    }
+
+    const text = value => (typeof value === 'string' ? value : null);
+
+    return {
+      id: entry.id,
+      title: text(entry.title),
+      create_time: text(entry.create_time),
+      update_time: text(entry.update_time),
+      gizmo_id: text(entry.gizmo_id),
+      project_id: text(entry.project_id)
+    };
+  }
+
+  /**
+   * Merge index entries, keeping the most recently listed ones within the limit
+   */
+  function mergeIndexEntries(entries) {
+    entries.forEach(entry => {
+      const clean = sanitizeIndexEntry(entry);
+      if (!clean) return;
+
+      // Re-insert so Map order reflects how recently the entry was listed
+      conversationIndex.delete(clean.id);
+      conversationIndex.set(clean.id, clean);
+    });
+
+    while (conversationIndex.size > MAX_INDEX_ENTRIES) {
+      conversationIndex.delete(conversationIndex.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the index sorted by last update, newest first
+   */
+  function getSortedIndex() {
+    return Array.from(conversationIndex.values()).sort((a, b) =>
+      (b.update_time || b.create_time || '').localeCompare(a.update_time || a.create_time || '')
+    );
+  }
+
+  /**
+   * Listen for conversation index entries from the injected page script
+   */
+  window.addEventListener('message', async event => {
+    if (event.source !== window) return;
+    if (!event.data || event.data.type !== INDEX_MESSAGE_TYPE) return;
+
+    if (!SECRET_KEY) {
+      logWarn('Secret key not ready yet');
+      return;
+    }
+
+    const verification = await MessageSecurity.verifySignedMessage(
+      event.data,
+      INDEX_MESSAGE_TYPE,
+      SOURCE_ID,
+      SECRET_KEY
+    );
+
+    if (!verification.isValid) {
+      logWarn('Index message verification failed', { error: verification.error });
+      return;
+    }
+
+    const entries = event.data.payload?.entries;
+    if (!Array.isArray(entries)) return;
+
+    mergeIndexEntries(entries);
+    logDebug('Updated conversation index', { received: entries.length, indexed: conversationIndex.size });
+
+    browser.runtime.sendMessage({
+      type: 'CONVERSATION_INDEX_UPDATED',
+      platform: 'chatgpt',
+      count: conversationIndex.size
+    }).catch(() => {
+      // Popup might not be open, ignore error
+    });
+  });
+
+  // ============================================================================
+  // BULK EXPORT
+  // ============================================================================
+
+  /**
+   * Check whether a bulk export is currently in progress
+   */
+  function isBulkExportRunning() {
+    return !!bulkSession && ['listing', 'fetching', 'exporting'].includes(bulkSession.status.state);
+  }
+
+  /**
+   * Send a signed command (start/cancel) to the page script
+   * @param {string} action - 'start' or 'cancel'
+   * @param {Object} [extra] - Additional payload fields (e.g. filters)
+   */
+  async function sendBulkCommand(action, extra = {}) {
+    const signedMessage = await MessageSecurity.createSignedMessage(
+      { ...extra, action },
+      BULK_COMMAND_TYPE,
+      CONTENT_SOURCE_ID,
+      'chatgpt',
+      SECRET_KEY
+    );
+    window.postMessage(signedMessage, window.location.origin);
+  }
+
+  /**
+   * Update bulk export status and notify the popup
+   */
+  function updateBulkStatus(changes) {
+    if (!bulkSession) return;
+
+    Object.assign(bulkSession.status, changes);
+
+    browser.runtime.sendMessage({
+      type: 'BULK_EXPORT_PROGRESS',
+      platform: 'chatgpt',
+      status: { ...bulkSession.status }
+    }).catch(() => {
+      // Popup might not be open, ignore error
+    });
+  }
+
+  /**
+   * Send the collected batch to the background while fetching continues
+   * Batches are sent one after another under the session's export ID. When the
+   * background refuses one (the export is over its size limit), the export
+   * fails and the page script is told to stop fetching.
+   * @returns {Promise<void>} Resolves when every queued batch has been handled
+   */
+  function flushBulkBatch() {
+    const session = bulkSession;
+    const payloads = session.batch;
+    session.batch = [];
+    if (payloads.length === 0) {
+      return session.sending;
+    }
+
+    session.sending = session.sending.then(async () => {
+      if (session.refused) return;
+
+      const response = await browser.runtime.sendMessage({
+        type: 'BULK_EXPORT_BATCH',
+        exportId: session.exportId,
+        payloads,
+        platform: 'chatgpt'
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Bulk export batch was not accepted');
+      }
+      session.sent += payloads.length;
+    }).catch(error => {
+      if (session.refused) return;
+
+      session.refused = true;
+      logError('Background refused bulk export batch', { error: error.message });
+      if (session === bulkSession) {
+        updateBulkStatus({ state: 'error', error: error.message });
+      }
+      sendBulkCommand('cancel').catch(cancelError => {
+        logWarn('Failed to stop bulk export', { error: cancelError.message });
+      });
+    });
+
+    return session.sending;
+  }
+
+  /**
+   * Drop the batches the background already holds for a session
+   */
+  function discardBulkBatches(session) {
+    session.batch = [];
+    session.sending.then(() => browser.runtime.sendMessage({
+      type: 'BULK_EXPORT_DISCARD',
+      exportId: session.exportId,
+      platform: 'chatgpt'
+    })).catch(() => {
+      // Background keeps the transfer until it times out
+    });
+  }
+
+  /**
+   * Send the last batch, then have the background export everything it received
+   */
+  async function finishBulkExport() {
+    const session = bulkSession;
+    updateBulkStatus({ state: 'exporting' });
+    await flushBulkBatch();
+
+    if (session.refused) return;
+
+    if (session.sent === 0) {
+      const error = session.status.excluded > 0
+        ? 'No conversations matched the filters.'
+        : 'No conversations could be fetched.';
+      updateBulkStatus({ state: 'error', error });
+      return;
+    }
+
+    try {
+      await browser.runtime.sendMessage({
+        type: 'BULK_CONVERSATION_DATA',
+        exportId: session.exportId,
+        platform: 'chatgpt',
+        options: session.options
+      });
+      updateBulkStatus({ state: 'complete' });
+    } catch (error) {
+      logError('Failed to forward bulk export', { error: error.message });
+      updateBulkStatus({ state: 'error', error: error.message });
+    }
+  }
+
+  /**
+   * Listen for bulk export messages from the injected page script
+   */
+  window.addEventListener('message', async event => {
+    if (event.source !== window) return;
+    if (!event.data || event.data.type !== BULK_MESSAGE_TYPE) return;
+
+    if (!SECRET_KEY) {
+      logWarn('Secret key not ready yet');
+      return;
+    }
+
+    const verification = await MessageSecurity.verifySignedMessage(
+      event.data,
+      BULK_MESSAGE_TYPE,
+      SOURCE_ID,
+      SECRET_KEY
+    );
+
+    if (!verification.isValid) {
+      logWarn('Bulk message verification failed', { error: verification.error });
+      return;
+    }
+
+    if (!isBulkExportRunning()) {
+      logDebug('Ignoring bulk message without an active session');
+      return;
+    }
+
+    const payload = event.data.payload || {};
+
+    switch (payload.event) {
+      case 'progress':
+        updateBulkStatus({
+          state: payload.phase,
+          listed: payload.listed ?? bulkSession.status.listed,
+          completed: payload.completed ?? bulkSession.status.completed,
+          failed: payload.failed ?? bulkSession.status.failed,
+          excluded: payload.excluded ?? bulkSession.status.excluded,
+          total: payload.total ?? bulkSession.status.total
+        });
+        break;
+
+      case 'conversation':
+        if (payload.data && typeof payload.data === 'object') {
+          bulkSession.batch.push(payload.data);
+          if (bulkSession.batch.length >= BULK_BATCH_SIZE) {
+            flushBulkBatch();
+          }
+        }
+        break;
+
+      case 'done':
+        updateBulkStatus({
+          completed: payload.completed,
+          failed: payload.failed,
+          excluded: payload.excluded,
+          total: payload.total
+        });
+        await finishBulkExport();
+        break;
+
+      case 'cancelled':
+        discardBulkBatches(bulkSession);
+        updateBulkStatus({ state: 'cancelled' });
+        break;
+
+      case 'error':
+        discardBulkBatches(bulkSession);
+        updateBulkStatus({ state: 'error', error: payload.error || 'Bulk export failed' });
+        break;
+    }
+  });
+
   /**
    * Listen for messages from popup/background
    */
@@ -266,7 +628,9 @@
     if (message.type === 'GET_CAPTURED_CONVERSATIONS') {
       const conversations = Array.from(capturedConversations.entries()).map(([id, data]) => ({
         id,
-        title: data.title || 'Untitled Conversation'
+        title: data.title || 'Untitled Conversation',
+        messageCount: countMessages(data),
+        capturedAt: new Date(conversationTimestamps.get(id) || Date.now()).toISOString()
       }));
 
       sendResponse({
@@ -278,6 +642,130 @@
       return false;
     }
 
+    if (message.type === 'GET_CONVERSATION_INDEX') {
+      sendResponse({
+        success: true,
+        platform: 'chatgpt',
+        conversations: getSortedIndex()
+      });
+      return false;
+    }
+
+    if (message.type === 'START_BULK_EXPORT' && message.platform === 'chatgpt') {
+      if (isBulkExportRunning()) {
+        sendResponse({ success: false, error: 'A bulk export is already running.' });
+        return false;
+      }
+
+      const options = message.options || {};
+
+      // A selection from the conversation index skips listing and filters
+      const conversationIds = Array.isArray(options.conversationIds)
+        ? options.conversationIds
+          .filter(id => typeof id === 'string' && /^[a-zA-Z0-9-]+$/.test(id))
+          .slice(0, MAX_INDEX_ENTRIES)
+        : null;
+      const filters = conversationIds ? null : BulkFilters.normalizeFilters(options.filters);
+
+      // Filters the conversation list cannot answer would need every conversation fetched first
+      const unlisted = BulkFilters.findUnlistedFilters(filters, 'chatgpt');
+      if (unlisted.length > 0) {
+        sendResponse({
+          success: false,
+          error: `Filter not available on ChatGPT (needs every conversation fetched first): ${unlisted.join(', ')}`
+        });
+        return false;
+      }
+
+      if (conversationIds && conversationIds.length === 0) {
+        sendResponse({ success: false, error: 'No conversations selected.' });
+        return false;
+      }
+
+      bulkSession = {
+        status: {
+          state: conversationIds ? 'fetching' : 'listing',
+          listed: conversationIds ? conversationIds.length : 0,
+          completed: 0,
+          failed: 0,
+          excluded: 0,
+          total: conversationIds ? conversationIds.length : 0,
+          error: null
+        },
+        batch: [], // Fetched conversations not yet sent to the background
+        exportId: crypto.randomUUID(),
+        sent: 0,
+        sending: Promise.resolve(),
+        refused: false,
+        options: { ...options, filters, conversationIds }
+      };
+
+      sendBulkCommand('start', { filters, conversationIds }).then(() => {
+        sendResponse({ success: true, status: { ...bulkSession.status } });
+      }).catch(error => {
+        bulkSession = null;
+        sendResponse({ success: false, error: error.message });
+      });
+
+      return true; // Keep channel open for async response
+    }
+
+    if (message.type === 'CANCEL_BULK_EXPORT' && message.platform === 'chatgpt') {
+      if (!isBulkExportRunning()) {
+        sendResponse({ success: false, error: 'No bulk export is running.' });
+        return false;
+      }
+
+      sendBulkCommand('cancel').then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+
+      return true; // Keep channel open for async response
+    }
+
+    if (message.type === 'GET_BULK_EXPORT_STATUS') {
+      sendResponse({
+        success: true,
+        platform: 'chatgpt',
+        status: bulkSession ? { ...bulkSession.status } : null
+      });
+      return false;
+    }
+
+    if (message.type === 'EXPORT_CAPTURED_CONVERSATIONS' && message.platform === 'chatgpt') {
+      const conversationIds = Array.isArray(message.conversationIds) ? message.conversationIds : [];
+      const payloads = conversationIds
+        .filter(id => typeof id === 'string' && capturedConversations.has(id))
+        .map(id => capturedConversations.get(id));
+
+      if (payloads.length === 0) {
+        sendResponse({
+          success: false,
+          error: 'None of the selected conversations are still captured. Please reload them.'
+        });
+        return false;
+      }
+
+      // Forward as one dataset, merged like a bulk export
+      browser.runtime.sendMessage({
+        type: 'BULK_CONVERSATION_DATA',
+        payloads: payloads,
+        platform: 'chatgpt',
+        options: message.options || {}
+      }).then(() => {
+        sendResponse({ success: true, count: payloads.length });
+      }).catch(error => {
+        sendResponse({
+          success: false,
+          error: error.message
+        });
+      });
+
+      return true; // Keep channel open for async response
+    }
+
     if (message.type === 'EXPORT_CONVERSATION' && message.platform === 'chatgpt') {
       const conversationId = message.conversationId;
       const conversationData = capturedConversations.get(conversationId);
@@ -290,11 +778,12 @@
         return false;
       }
 
-      // Forward to background for CSV generation
+      // Forward to background for file generation (format chosen in popup)
       browser.runtime.sendMessage({
         type: MESSAGE_TYPE,
         payload: conversationData,
-        platform: 'chatgpt'
+        platform: 'chatgpt',
+        options: message.options || {}
       }).then(() => {
         sendResponse({ success: true });
       }).catch(error => {
@@ -1,14 +1,13 @@
 /**
  * AI Chat Exporter - ChatGPT Extractor Module
  *
- * This module extracts ChatGPT conversation data from the JSON API response
- * and generates two CSV files:
- * - CSV A: Conversation metadata (one row per conversation)
- * - CSV B: Conversation messages (one row per message/node)
+ * This module extracts ChatGPT conversation data from the JSON API response:
+ * - Conversation metadata (one object per conversation)
+ * - Conversation messages (one object per message/node)
+ *
+ * The ChatGPT normalizer (normalizer.js) maps these into the shared
+ * conversation schema used by all exporters.
  */
-import { escapeCSVField } from '../../utils/csv.js';
-
-
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -53,12 +52,12 @@ function extractTextFromContent(content) {
             .join('\n\n');
     }
 
-    // Handle user_editable_context (should not appear in CSV B)
+    // Handle user_editable_context (should not appear in messages)
     if (contentType === 'user_editable_context') {
         return '';
     }
 
-    // Handle model_editable_context (should not appear in CSV B)
+    // Handle model_editable_context (should not appear in messages)
     if (contentType === 'model_editable_context') {
         return '';
     }
@@ -189,11 +188,11 @@ function getDefaultModelSlug(conversationData) {
 }
 
 // ============================================================================
-// CSV A: CONVERSATION METADATA EXTRACTION
+// CONVERSATION METADATA EXTRACTION
 // ============================================================================
 
 /**
- * Extract conversation metadata for CSV A
+ * Extract conversation metadata
  * Returns a single object representing one conversation
  */
 function extractConversationMetadata(conversationData) {
@@ -217,33 +216,111 @@ function extractConversationMetadata(conversationData) {
 }
 
 // ============================================================================
-// CSV B: CONVERSATION MESSAGES EXTRACTION
+// CONVERSATION MESSAGES EXTRACTION
 // ============================================================================
 
 /**
- * Extract all messages from conversation for CSV B
- * Returns an array of message objects
+ * List mapping node IDs in depth-first tree order
+ * Starts at the root node(s) and follows each node's `children` array
+ * (creation order). Nodes that cannot be reached from a root are appended
+ * in key order so nothing is lost.
+ */
+function getNodeIdsInTreeOrder(mapping) {
+    const ordered = [];
+    const visited = new Set();
+
+    const roots = Object.keys(mapping).filter(nodeId => {
+        const parentId = mapping[nodeId]?.parent;
+        return !parentId || !mapping[parentId];
+    });
+
+    const walk = startId => {
+        const stack = [startId];
+        while (stack.length > 0) {
+            const nodeId = stack.pop();
+            if (visited.has(nodeId) || !mapping[nodeId]) continue;
+            visited.add(nodeId);
+            ordered.push(nodeId);
+
+            const children = Array.isArray(mapping[nodeId].children) ? mapping[nodeId].children : [];
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push(children[i]);
+            }
+        }
+    };
+
+    roots.forEach(walk);
+    Object.keys(mapping).forEach(walk);
+
+    return ordered;
+}
+
+/**
+ * Check whether a mapping node becomes an exported message
+ * Nodes without a message and context nodes (kept in metadata) are skipped.
+ */
+function isExportedNode(node) {
+    if (!node?.message) return false;
+    const contentType = node.message.content?.content_type || '';
+    return contentType !== 'user_editable_context' && contentType !== 'model_editable_context';
+}
+
+/**
+ * Find the closest ancestor of a node that is exported as a message
+ * Skipped nodes (empty root, context nodes) are passed through, so every
+ * parent_id points at another exported message.
+ * @returns {string} Message ID of the ancestor, or empty string for roots
+ */
+function findExportedAncestorId(mapping, nodeId) {
+    const seen = new Set();
+    let parentId = mapping[nodeId]?.parent;
+
+    while (parentId && mapping[parentId] && !seen.has(parentId)) {
+        seen.add(parentId);
+        const parent = mapping[parentId];
+        if (isExportedNode(parent)) {
+            return parent.message.id || parentId;
+        }
+        parentId = parent.parent;
+    }
+    return '';
+}
+
+/**
+ * Resolve the conversation's current node to the closest exported message
+ * @returns {string} Message ID of the active leaf, or empty string if unknown
+ */
+function getActiveLeafId(conversationData) {
+    const mapping = conversationData.mapping || {};
+    const currentNode = conversationData.current_node;
+    if (!currentNode || !mapping[currentNode]) return '';
+
+    if (isExportedNode(mapping[currentNode])) {
+        return mapping[currentNode].message.id || currentNode;
+    }
+    return findExportedAncestorId(mapping, currentNode);
+}
+
+/**
+ * Extract all messages from conversation
+ * Returns an array of message objects in depth-first tree order; parent_id
+ * is the closest exported ancestor (see findExportedAncestorId).
  */
 function extractConversationMessages(conversationData) {
     const messages = [];
     const mapping = conversationData.mapping || {};
     const conversationId = conversationData.conversation_id || conversationData.id || '';
 
-    for (const nodeId in mapping) {
+    for (const nodeId of getNodeIdsInTreeOrder(mapping)) {
         const node = mapping[nodeId];
 
-        // Skip nodes without messages
-        if (!node.message) continue;
+        // Skip nodes without messages, user_editable_context and model_editable_context (only in metadata)
+        if (!isExportedNode(node)) continue;
 
         const message = node.message;
         const content = message.content;
         const contentType = content?.content_type || '';
 
-        // Skip user_editable_context and model_editable_context (only in CSV A)
-        if (contentType === 'user_editable_context' || contentType === 'model_editable_context') {
-            continue;
-        }
-
         const authorRole = message.author?.role || '';
         const text = extractTextFromContent(content);
         const hasImage = hasImages(content);
@@ -255,7 +332,7 @@ function extractConversationMessages(conversationData) {
         messages.push({
             conversation_id: conversationId,
             node_id: message.id || nodeId,
-            parent_id: node.parent || '',
+            parent_id: findExportedAncestorId(mapping, nodeId),
             author_role: authorRole,
             content_type: contentType,
             text: text,
@@ -273,108 +350,13 @@ function extractConversationMessages(conversationData) {
     return messages;
 }
 
-// ============================================================================
-// CSV GENERATION
-// ============================================================================
-
-
-/**
- * Generate CSV A: Conversation Metadata
- */
-function generateMetadataCSV(metadata) {
-    const headers = [
-        'conversation_id',
-        'title',
-        'create_time',
-        'update_time',
-        'default_model_slug',
-        'memory_scope',
-        'is_do_not_remember',
-        'num_messages',
-        'num_user_messages',
-        'num_assistant_messages',
-        'num_tool_messages',
-        'user_profile',
-        'user_instructions'
-    ];
-
-    const row = headers.map(header => escapeCSVField(metadata[header]));
-
-    return [headers.join(','), row.join(',')].join('\n');
-}
-
-/**
- * Generate CSV B: Conversation Messages
- */
-function generateMessagesCSV(messages) {
-    // Simplified headers - focus on essential message data
-    const headers = [
-        'conversation_id',
-        'message_id',
-        'author_role',
-        'content_type',
-        'text',
-        'create_time',
-        'model_slug'
-    ];
-
-    const rows = [headers.join(',')];
-
-    messages.forEach(msg => {
-        // Map to simplified structure
-        const simplifiedMsg = {
-            conversation_id: msg.conversation_id,
-            message_id: msg.node_id,
-            author_role: msg.author_role,
-            content_type: msg.content_type,
-            text: msg.text,
-            create_time: msg.create_time,
-            model_slug: msg.model_slug
-        };
-
-        const row = headers.map(header => escapeCSVField(simplifiedMsg[header]));
-        rows.push(row.join(','));
-    });
-
-    return rows.join('\n');
-}
-
-// ============================================================================
-// MAIN EXPORT FUNCTION
-// ============================================================================
-
-/**
- * Main function to process ChatGPT conversation JSON and generate CSVs
- * @param {Object} conversationData - The full ChatGPT conversation JSON object
- * @returns {Object} Object containing metadata CSV and messages CSV
- */
-function extractChatGPTConversation(conversationData) {
-    if (!conversationData || !conversationData.mapping) {
-        throw new Error('Invalid ChatGPT conversation data: missing mapping');
-    }
-
-    const metadata = extractConversationMetadata(conversationData);
-    const messages = extractConversationMessages(conversationData);
-
-    const metadataCSV = generateMetadataCSV(metadata);
-    const messagesCSV = generateMessagesCSV(messages);
-
-    return {
-        metadataCSV,
-        messagesCSV,
-        metadata,
-        messages
-    };
-}
-
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
 export {
-    extractChatGPTConversation,
+    extractTextFromContent,
     extractConversationMetadata,
     extractConversationMessages,
-    generateMetadataCSV,
-    generateMessagesCSV
+    getActiveLeafId
 };
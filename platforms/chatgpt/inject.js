@@ -14,18 +14,34 @@
   const MESSAGE_TYPE = 'CHATGPT_CONVERSATION_DATA';
   const SOURCE_ID = 'chatgpt-exporter-inject';
 
+  // Bulk export channel (content script <-> page script)
+  const BULK_MESSAGE_TYPE = 'CHATGPT_BULK_EXPORT';
+  const BULK_COMMAND_TYPE = 'CHATGPT_BULK_COMMAND';
+  const CONTENT_SOURCE_ID = 'chatgpt-exporter-content';
+
+  // Conversation index channel (sidebar list responses, page script -> content script)
+  const INDEX_MESSAGE_TYPE = 'CHATGPT_CONVERSATION_INDEX';
+
   // Logging configuration
   const DEBUG_MODE = false; // Set to true for development, false for production
 
   // Response validation configuration
   const MAX_RESPONSE_SIZE = 100 * 1024 * 1024; // 100MB
 
+  // Bulk export throttling configuration
+  const BULK_PAGE_SIZE = 100; // Conversations per list request (API maximum)
+  const BULK_FETCH_DELAY_MS = 1000; // Pause between conversation requests
+  const BULK_MAX_RETRIES = 3; // Retries for rate-limited (429) or server errors
+
   // Store captured conversation IDs to avoid duplicate fetches
   const capturedIds = new Set();
 
   // Store captured headers for active fetching
   let capturedHeaders = null;
 
+  // Running bulk export ({ cancelled }), or null when idle
+  let bulkExport = null;
+
   // Store the original fetch function
   const originalFetch = window.fetch;
 
@@ -179,6 +195,90 @@
     });
   }
 
+  /**
+   * Reduce a conversation list item to its index entry
+   * @param {Object} item - Item from a /conversations list response
+   * @returns {Object|null} { id, title, create_time, update_time, gizmo_id, project_id }, or null when invalid
+   */
+  function summarizeIndexEntry(item) {
+    if (!item || typeof item.id !== 'string' || !/^[a-zA-Z0-9-]+$/.test(item.id)) {
+      return null;
+    }
+
+    const toISO = value => {
+      const time = BulkFilters.toTime(value);
+      return time === null ? null : new Date(time).toISOString();
+    };
+    const gizmoId = typeof item.gizmo_id === 'string' ? item.gizmo_id : null;
+
+    // Project conversations carry the project's gizmo ID (g-p-...)
+    const projectId = typeof item.project_id === 'string'
+      ? item.project_id
+      : (gizmoId && gizmoId.startsWith('g-p-') ? gizmoId : null);
+
+    return {
+      id: item.id,
+      title: typeof item.title === 'string' ? item.title : null,
+      create_time: toISO(item.create_time),
+      update_time: toISO(item.update_time),
+      gizmo_id: gizmoId,
+      project_id: projectId
+    };
+  }
+
+  /**
+   * Send conversation index entries from a list response to the content script
+   */
+  async function sendIndexToContentScript(entries) {
+    const secret = MessageSecurity.getSharedSecret('chatgpt-exporter-secret');
+    if (!secret) {
+      logWarn('Secret key not available, cannot send conversation index');
+      return;
+    }
+
+    const signedMessage = await MessageSecurity.createSignedMessage(
+      { entries },
+      INDEX_MESSAGE_TYPE,
+      SOURCE_ID,
+      'chatgpt',
+      secret
+    );
+
+    window.postMessage(signedMessage, window.location.origin);
+
+    logDebug('Captured conversation index (signed)', { entries: entries.length });
+  }
+
+  /**
+   * Request a conversation from the backend API using the captured headers
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation JSON
+   * @throws {Error} With a `status` property when the response is rejected
+   */
+  async function requestConversation(conversationId) {
+    const response = await originalFetch(`https://chatgpt.com/backend-api/conversation/${conversationId}`, {
+      method: 'GET',
+      headers: capturedHeaders
+    });
+
+    // Validate response
+    const validation = validateResponse(response);
+    if (!validation.isValid) {
+      const error = new Error(validation.error);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+
+    // Validate data structure before processing
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid data structure: not an object');
+    }
+
+    return data;
+  }
+
   /**
    * Manually fetch conversation data
    */
@@ -196,33 +296,250 @@
     logDebug('Active fetch triggered', { conversationId });
 
     try {
-      const response = await originalFetch(`https://chatgpt.com/backend-api/conversation/${conversationId}`, {
-        method: 'GET',
-        headers: capturedHeaders
-      });
+      const data = await requestConversation(conversationId);
+      await sendDataToContentScript(data);
+    } catch (error) {
+      logError('Active fetch error', { error: error.message });
+    }
+  }
+
+  // ============================================================================
+  // BULK EXPORT
+  // ============================================================================
+
+  /**
+   * Wait for the given number of milliseconds
+   */
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
 
-      // Validate response
-      const validation = validateResponse(response);
-      if (!validation.isValid) {
-        logWarn('Active fetch validation failed', { error: validation.error });
-        return;
+  /**
+   * Run a request, retrying with exponential backoff when rate-limited
+   * or when the server fails
+   */
+  async function withRetry(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const retryable = error.status === 429 || error.status >= 500;
+        if (!retryable || attempt >= BULK_MAX_RETRIES) {
+          throw error;
+        }
+        const delay = BULK_FETCH_DELAY_MS * Math.pow(2, attempt + 1);
+        logWarn('Request throttled, retrying', { status: error.status, delay });
+        await sleep(delay);
       }
+    }
+  }
+
+  /**
+   * Request one page of the conversation list
+   * @returns {Promise<Object>} List response ({ items, total, limit, offset })
+   */
+  async function requestConversationList(offset) {
+    const response = await originalFetch(
+      `https://chatgpt.com/backend-api/conversations?offset=${offset}&limit=${BULK_PAGE_SIZE}&order=updated`,
+      { method: 'GET', headers: capturedHeaders }
+    );
+
+    const validation = validateResponse(response);
+    if (!validation.isValid) {
+      const error = new Error(validation.error);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
 
-      const data = await response.json();
+  /**
+   * Page through the conversation list endpoint
+   * @returns {Promise<Array<Object>>} List items ({ id, title, create_time, update_time, ... })
+   */
+  async function listAllConversations() {
+    const items = [];
+    const seenIds = new Set();
+    let offset = 0;
+
+    while (!bulkExport.cancelled) {
+      const page = await withRetry(() => requestConversationList(offset));
+      const pageItems = Array.isArray(page?.items) ? page.items : [];
+      const newItems = pageItems.filter(item => item && item.id && !seenIds.has(item.id));
+
+      newItems.forEach(item => {
+        seenIds.add(item.id);
+        items.push(item);
+      });
 
-      // Validate data structure before processing
-      if (!data || typeof data !== 'object') {
-        logWarn('Invalid data structure: not an object');
-        return;
+      await postBulkMessage({ event: 'progress', phase: 'listing', listed: items.length });
+
+      offset += pageItems.length;
+      const total = typeof page?.total === 'number' ? page.total : null;
+      if (newItems.length === 0 || pageItems.length < BULK_PAGE_SIZE || (total !== null && offset >= total)) {
+        break;
       }
 
-      await sendDataToContentScript(data);
+      await sleep(BULK_FETCH_DELAY_MS);
+    }
+
+    return items;
+  }
+
+  /**
+   * Summarize a conversation list item for filtering
+   * List items carry no model; that filter is not offered.
+   */
+  function summarizeListItem(item) {
+    return {
+      title: item.title,
+      createdAt: item.create_time,
+      updatedAt: item.update_time
+    };
+  }
+
+  /**
+   * Send a signed bulk export message to the content script
+   */
+  async function postBulkMessage(payload) {
+    const secret = MessageSecurity.getSharedSecret('chatgpt-exporter-secret');
+    if (!secret) {
+      logWarn('Secret key not available, cannot send bulk export message');
+      return;
+    }
+
+    const signedMessage = await MessageSecurity.createSignedMessage(
+      payload,
+      BULK_MESSAGE_TYPE,
+      SOURCE_ID,
+      'chatgpt',
+      secret
+    );
+
+    window.postMessage(signedMessage, window.location.origin);
+  }
+
+  /**
+   * Fetch every conversation in the account, one at a time with throttling
+   * Each conversation is posted to the content script as it arrives. Filters
+   * are checked against the list metadata first, so excluded conversations
+   * are never requested; conversations the list cannot decide are excluded
+   * as well and never fetched.
+   * @param {Object} [rawFilters] - Bulk export filters (see shared/bulk-filters.js)
+   * @param {Array<string>} [conversationIds] - Export only these conversations
+   *   (selected in the popup); skips listing and filtering
+   */
+  async function runBulkExport(rawFilters, conversationIds) {
+    if (bulkExport) {
+      logWarn('Bulk export already running');
+      return;
+    }
+
+    if (!capturedHeaders) {
+      await postBulkMessage({
+        event: 'error',
+        error: 'No authentication headers captured yet. Reload the page and try again.'
+      });
+      return;
+    }
+
+    const selectedIds = Array.isArray(conversationIds)
+      ? conversationIds.filter(id => typeof id === 'string' && /^[a-zA-Z0-9-]+$/.test(id))
+      : null;
+    const filters = selectedIds ? null : BulkFilters.normalizeFilters(rawFilters);
+    bulkExport = { cancelled: false };
+    logInfo('Bulk export started', { filters, selected: selectedIds ? selectedIds.length : null });
+
+    try {
+      const items = selectedIds
+        ? selectedIds.map(id => ({ id }))
+        : await listAllConversations();
+      const candidates = [];
+      let excluded = 0;
+
+      // Undecided conversations (a needed field missing from the list) are never fetched
+      items.forEach(item => {
+        if (BulkFilters.evaluate(filters, summarizeListItem(item)) === true) {
+          candidates.push(item);
+        } else {
+          excluded++;
+        }
+      });
+
+      // Excluded conversations count as processed, so progress covers the whole list
+      const total = items.length;
+      let completed = 0;
+      let failed = 0;
+
+      await postBulkMessage({ event: 'progress', phase: 'fetching', completed, failed, excluded, total });
+
+      for (const item of candidates) {
+        if (bulkExport.cancelled) break;
+
+        try {
+          const data = await withRetry(() => requestConversation(item.id));
+          await postBulkMessage({ event: 'conversation', data });
+          completed++;
+        } catch (error) {
+          failed++;
+          logWarn('Bulk fetch failed for conversation', { conversationId: item.id, error: error.message });
+        }
+
+        await postBulkMessage({ event: 'progress', phase: 'fetching', completed, failed, excluded, total });
+
+        if (!bulkExport.cancelled) {
+          await sleep(BULK_FETCH_DELAY_MS);
+        }
+      }
 
+      await postBulkMessage({
+        event: bulkExport.cancelled ? 'cancelled' : 'done',
+        completed,
+        failed,
+        excluded,
+        total
+      });
+      logInfo('Bulk export finished', { completed, failed, excluded, total, cancelled: bulkExport.cancelled });
     } catch (error) {
-      logError('Active fetch error', { error: error.message });
+      logError('Bulk export error', { error: error.message });
+      await postBulkMessage({ event: 'error', error: error.message });
+    } finally {
+      bulkExport = null;
     }
   }
 
+  /**
+   * Listen for signed bulk export commands from the content script
+   */
+  window.addEventListener('message', async event => {
+    if (event.source !== window) return;
+    if (!event.data || event.data.type !== BULK_COMMAND_TYPE) return;
+
+    const secret = MessageSecurity.getSharedSecret('chatgpt-exporter-secret');
+    if (!secret) return;
+
+    const verification = await MessageSecurity.verifySignedMessage(
+      event.data,
+      BULK_COMMAND_TYPE,
+      CONTENT_SOURCE_ID,
+      secret
+    );
+
+    if (!verification.isValid) {
+      logWarn('Bulk command verification failed', { error: verification.error });
+      return;
+    }
+
+    const action = event.data.payload?.action;
+    if (action === 'start') {
+      runBulkExport(event.data.payload.filters, event.data.payload.conversationIds);
+    } else if (action === 'cancel' && bulkExport) {
+      bulkExport.cancelled = true;
+      logInfo('Bulk export cancellation requested');
+    }
+  });
+
   /**
    * Check current URL and trigger fetch if it's a conversation
    */
@@ -333,7 +650,7 @@
         url.match(/\/conversation\/[a-f0-9-]+/i)
       );
 
-      // Check if this is a conversation list request (to find Gizmo IDs)
+      // Check if this is a conversation list request (sidebar, project lists)
       const isListRequest = url && url.includes('/conversations?');
 
       if (isConversationRequest) {
@@ -379,10 +696,17 @@
           return response;
         }
 
+        // Keep a lightweight index of the listed conversations (no extra API calls)
         const clone = response.clone();
-        clone.json().then(data => {
-          // console.log(`[${PLATFORM}] Intercepted conversation list`, data);
-        }).catch(() => { });
+        clone.json().then(async data => {
+          const items = Array.isArray(data?.items) ? data.items : [];
+          const entries = items.map(summarizeIndexEntry).filter(Boolean);
+          if (entries.length > 0) {
+            await sendIndexToContentScript(entries);
+          }
+        }).catch(error => {
+          logWarn('Failed to parse conversation list', { error: error.message });
+        });
       }
 
     } catch (e) {
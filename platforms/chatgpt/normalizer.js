@@ -0,0 +1,175 @@
+/**
+ * AI Chat Exporter - ChatGPT Normalizer
+ *
+ * Maps the ChatGPT conversation JSON (hierarchical `mapping`) into the
+ * shared conversation schema defined in utils/schema.js.
+ */
+import { extractConversationMetadata, extractConversationMessages, getActiveLeafId } from './extractor.js';
+import {
+    createConversation,
+    createMessage,
+    createContentBlock,
+    createAttachment
+} from '../../utils/schema.js';
+import { annotateMessageTree } from '../../utils/tree.js';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Split a ChatGPT content object into content blocks
+ * Keeps each original part/thought as the block's data
+ */
+function extractContentBlocks(content) {
+    if (!content) return [];
+
+    const contentType = content.content_type || 'unknown';
+
+    // text and multimodal_text carry an array of parts (strings or objects)
+    if (Array.isArray(content.parts)) {
+        return content.parts.map(part => {
+            if (typeof part === 'string') {
+                return createContentBlock({ type: 'text', text: part, data: part });
+            }
+            return createContentBlock({
+                type: part?.content_type || 'unknown',
+                text: part?.text || '',
+                data: part
+            });
+        });
+    }
+
+    // thoughts carry an array of reasoning steps
+    if (contentType === 'thoughts' && Array.isArray(content.thoughts)) {
+        return content.thoughts.map(thought => createContentBlock({
+            type: 'thought',
+            text: thought.content || '',
+            data: thought
+        }));
+    }
+
+    // code, execution_output and other single-value content types
+    return [createContentBlock({ type: contentType, text: content.text || '', data: content })];
+}
+
+/**
+ * Collect images and uploaded files referenced by a message
+ */
+function extractAttachments(message) {
+    const attachments = [];
+    const content = message?.content;
+
+    if (content && Array.isArray(content.parts)) {
+        for (const part of content.parts) {
+            if (part && typeof part === 'object' && part.content_type === 'image_asset_pointer' && part.asset_pointer) {
+                attachments.push(createAttachment({
+                    attachment_id: part.asset_pointer,
+                    source: 'image',
+                    file_type: 'image',
+                    file_size: part.size_bytes
+                }));
+            }
+        }
+    }
+
+    const uploaded = message?.metadata?.attachments;
+    if (Array.isArray(uploaded)) {
+        for (const file of uploaded) {
+            attachments.push(createAttachment({
+                attachment_id: file.id,
+                source: 'attachment',
+                file_name: file.name,
+                file_type: file.mime_type,
+                file_size: file.size
+            }));
+        }
+    }
+
+    return attachments;
+}
+
+/**
+ * Index the nodes of a conversation mapping by the ID their rows use
+ * (the message ID, falling back to the node key as in the extractor)
+ * @param {Object} mapping - ChatGPT node mapping
+ * @returns {Map<string, Object>} Nodes keyed by row node_id
+ */
+function indexNodesByRowId(mapping) {
+    const nodes = new Map();
+    for (const [nodeId, node] of Object.entries(mapping)) {
+        if (node) {
+            nodes.set(node.message?.id || nodeId, node);
+        }
+    }
+    return nodes;
+}
+
+// ============================================================================
+// MAIN EXPORT FUNCTION
+// ============================================================================
+
+/**
+ * Normalize a ChatGPT conversation into the shared schema
+ * @param {Object} conversationData - The full ChatGPT conversation JSON object
+ * @returns {Object} Normalized conversation
+ */
+function normalizeChatGPTConversation(conversationData) {
+    if (!conversationData || !conversationData.mapping) {
+        throw new Error('Invalid ChatGPT conversation data: missing mapping');
+    }
+
+    const metadata = extractConversationMetadata(conversationData);
+    const nodes = indexNodesByRowId(conversationData.mapping);
+
+    const messages = extractConversationMessages(conversationData).map((row, index) => {
+        const node = nodes.get(row.node_id);
+        const message = node?.message || {};
+
+        return createMessage({
+            message_id: row.node_id,
+            parent_id: row.parent_id,
+            index: index,
+            role: row.author_role,
+            content_type: row.content_type,
+            text: row.text,
+            created_at: row.create_time,
+            updated_at: message.update_time,
+            model: row.model_slug,
+            status: row.status,
+            stop_reason: message.metadata?.finish_details?.type,
+            end_turn: row.end_turn,
+            is_visually_hidden: row.is_visually_hidden,
+            tool_name: row.tool_name,
+            blocks: extractContentBlocks(message.content),
+            attachments: extractAttachments(message)
+        });
+    });
+
+    // Regenerated answers and edited prompts are sibling nodes; rebuild the tree
+    const treeMessages = annotateMessageTree(messages, getActiveLeafId(conversationData));
+
+    return createConversation({
+        platform: 'chatgpt',
+        conversation_id: metadata.conversation_id,
+        title: metadata.title,
+        created_at: metadata.create_time,
+        updated_at: metadata.update_time,
+        model: metadata.default_model_slug,
+        metadata: {
+            memory_scope: metadata.memory_scope,
+            is_do_not_remember: metadata.is_do_not_remember,
+            user_profile: metadata.user_profile,
+            user_instructions: metadata.user_instructions
+        },
+        messages: treeMessages
+    });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+    normalizeChatGPTConversation
+};
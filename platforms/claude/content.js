@@ -14,18 +14,32 @@
   const MESSAGE_TYPE = 'CLAUDE_CONVERSATION_DATA';
   const SOURCE_ID = 'claude-exporter-inject';
 
+  // Bulk export channel (content script <-> page script)
+  const BULK_MESSAGE_TYPE = 'CLAUDE_BULK_EXPORT';
+  const BULK_COMMAND_TYPE = 'CLAUDE_BULK_COMMAND';
+  const CONTENT_SOURCE_ID = 'claude-exporter-content';
+  const BULK_BATCH_SIZE = 20; // Conversations per message to the background
+
+  // Project UUIDs accepted for project exports
+  const UUID_PATTERN = /^[a-f0-9-]{36}$/i;
+
   // Logging configuration
-  const DEBUG_MODE = false; // Set to true for development, false for production
+  let debugMode = false; // Set from the debug preference (shared/preferences.js)
 
   // Memory management configuration
   const MAX_STORED_CONVERSATIONS = 50;
   const MAX_CONVERSATION_AGE_MS = 3600000; // 1 hour
+  let keepCapturedConversations = true; // Privacy preference: false keeps only the latest capture
   const CLEANUP_INTERVAL_MS = 300000; // 5 minutes
 
   // Store captured conversations in memory with timestamps
   const capturedConversations = new Map();
   const conversationTimestamps = new Map();
 
+  // Current bulk export session: { status, batch, exportId, sent, sending, refused, project, options }
+  // Kept after completion so a reopened popup can show the final status.
+  let bulkSession = null;
+
   // Generate a cryptographic secret for message signing
   const SECRET_KEY = generateSecretKey();
 
@@ -56,7 +70,7 @@
   }
 
   function logDebug(message, data = null) {
-    if (!DEBUG_MODE) return;
+    if (!debugMode) return;
     if (data) {
       console.log(`[${PLATFORM}] [DEBUG]`, message, redactSensitiveData(data));
     } else {
@@ -102,6 +116,10 @@
    * Implements LRU (Least Recently Used) eviction when limit is reached
    */
   function storeConversation(id, data) {
+    if (!keepCapturedConversations) {
+      discardOtherConversations(id);
+    }
+
     // Clean up oldest conversation if at limit
     if (capturedConversations.size >= MAX_STORED_CONVERSATIONS) {
       // Find oldest conversation by timestamp
@@ -127,6 +145,32 @@
     conversationTimestamps.set(id, Date.now());
   }
 
+  /**
+   * Find the project of the open page
+   * Project pages name it in the URL (/project/<uuid>); an open conversation
+   * names it in its captured data.
+   * @returns {Object|null} { id, name } (name may be empty), or null outside a project
+   */
+  function getCurrentProject() {
+    const projectMatch = window.location.pathname.match(/\/project\/([a-f0-9-]+)/i);
+    if (projectMatch) {
+      return { id: projectMatch[1], name: '' };
+    }
+
+    const chatMatch = window.location.pathname.match(/\/chat\/([a-f0-9-]+)/i);
+    const data = chatMatch ? capturedConversations.get(chatMatch[1]) : null;
+    const projectId = data ? (data.project_uuid || data.project?.uuid) : null;
+    return projectId ? { id: projectId, name: data.project?.name || '' } : null;
+  }
+
+  /**
+   * Count the user and assistant messages in a captured conversation
+   */
+  function countMessages(data) {
+    const messages = Array.isArray(data.chat_messages) ? data.chat_messages : [];
+    return messages.filter(message => ['human', 'assistant'].includes(message?.sender)).length;
+  }
+
   /**
    * Clean up old conversations based on age
    */
@@ -150,6 +194,35 @@
   // Start periodic cleanup
   setInterval(cleanupOldConversations, CLEANUP_INTERVAL_MS);
 
+  /**
+   * Forget every captured conversation except one
+   */
+  function discardOtherConversations(keepId) {
+    for (const id of Array.from(capturedConversations.keys())) {
+      if (id !== keepId) {
+        capturedConversations.delete(id);
+        conversationTimestamps.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Apply user preferences (shared/preferences.js)
+   * Turning off keepCapturedConversations drops all but the latest capture.
+   */
+  function applyPreferences(preferences) {
+    debugMode = preferences.debug;
+    keepCapturedConversations = preferences.keepCapturedConversations;
+
+    if (!keepCapturedConversations && capturedConversations.size > 1) {
+      const [latestId] = Array.from(conversationTimestamps.entries()).sort((a, b) => b[1] - a[1])[0];
+      discardOtherConversations(latestId);
+    }
+  }
+
+  Preferences.load().then(applyPreferences);
+  Preferences.onChanged(applyPreferences);
+
   /**
    * Verify HMAC-SHA256 signature
    */
@@ -275,6 +348,222 @@
     });
   });
 
+  // ============================================================================
+  // BULK EXPORT
+  // ============================================================================
+
+  /**
+   * Check whether a bulk export is currently in progress
+   */
+  function isBulkExportRunning() {
+    return !!bulkSession && ['listing', 'fetching', 'exporting'].includes(bulkSession.status.state);
+  }
+
+  /**
+   * Send a signed command (start/cancel) to the page script
+   * @param {string} action - 'start' or 'cancel'
+   * @param {Object} [extra] - Additional payload fields (e.g. filters)
+   */
+  async function sendBulkCommand(action, extra = {}) {
+    const signedMessage = await MessageSecurity.createSignedMessage(
+      { ...extra, action },
+      BULK_COMMAND_TYPE,
+      CONTENT_SOURCE_ID,
+      'claude',
+      SECRET_KEY
+    );
+    window.postMessage(signedMessage, window.location.origin);
+  }
+
+  /**
+   * Update bulk export status and notify the popup
+   */
+  function updateBulkStatus(changes) {
+    if (!bulkSession) return;
+
+    Object.assign(bulkSession.status, changes);
+
+    browser.runtime.sendMessage({
+      type: 'BULK_EXPORT_PROGRESS',
+      platform: 'claude',
+      status: { ...bulkSession.status }
+    }).catch(() => {
+      // Popup might not be open, ignore error
+    });
+  }
+
+  /**
+   * Send the collected batch to the background while fetching continues
+   * Batches are sent one after another under the session's export ID. When the
+   * background refuses one (the export is over its size limit), the export
+   * fails and the page script is told to stop fetching.
+   * @returns {Promise<void>} Resolves when every queued batch has been handled
+   */
+  function flushBulkBatch() {
+    const session = bulkSession;
+    const payloads = session.batch;
+    session.batch = [];
+    if (payloads.length === 0) {
+      return session.sending;
+    }
+
+    session.sending = session.sending.then(async () => {
+      if (session.refused) return;
+
+      const response = await browser.runtime.sendMessage({
+        type: 'BULK_EXPORT_BATCH',
+        exportId: session.exportId,
+        payloads,
+        platform: 'claude'
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Bulk export batch was not accepted');
+      }
+      session.sent += payloads.length;
+    }).catch(error => {
+      if (session.refused) return;
+
+      session.refused = true;
+      logError('Background refused bulk export batch', { error: error.message });
+      if (session === bulkSession) {
+        updateBulkStatus({ state: 'error', error: error.message });
+      }
+      sendBulkCommand('cancel').catch(cancelError => {
+        logWarn('Failed to stop bulk export', { error: cancelError.message });
+      });
+    });
+
+    return session.sending;
+  }
+
+  /**
+   * Drop the batches the background already holds for a session
+   */
+  function discardBulkBatches(session) {
+    session.batch = [];
+    session.sending.then(() => browser.runtime.sendMessage({
+      type: 'BULK_EXPORT_DISCARD',
+      exportId: session.exportId,
+      platform: 'claude'
+    })).catch(() => {
+      // Background keeps the transfer until it times out
+    });
+  }
+
+  /**
+   * Send the last batch, then have the background export everything it received
+   */
+  async function finishBulkExport() {
+    const session = bulkSession;
+    const project = session.project;
+    session.project = null;
+    updateBulkStatus({ state: 'exporting' });
+    await flushBulkBatch();
+
+    if (session.refused) return;
+
+    if (session.sent === 0) {
+      const error = session.status.excluded > 0
+        ? 'No conversations matched the filters.'
+        : project && session.status.total === 0
+          ? 'This project has no conversations.'
+          : 'No conversations could be fetched.';
+      updateBulkStatus({ state: 'error', error });
+      return;
+    }
+
+    try {
+      await browser.runtime.sendMessage({
+        type: 'BULK_CONVERSATION_DATA',
+        exportId: session.exportId,
+        project: project,
+        platform: 'claude',
+        options: session.options
+      });
+      updateBulkStatus({ state: 'complete' });
+    } catch (error) {
+      logError('Failed to forward bulk export', { error: error.message });
+      updateBulkStatus({ state: 'error', error: error.message });
+    }
+  }
+
+  /**
+   * Listen for bulk export messages from the injected page script
+   */
+  window.addEventListener('message', async event => {
+    if (event.source !== window) return;
+    if (!event.data || event.data.type !== BULK_MESSAGE_TYPE) return;
+
+    const verification = await MessageSecurity.verifySignedMessage(
+      event.data,
+      BULK_MESSAGE_TYPE,
+      SOURCE_ID,
+      SECRET_KEY
+    );
+
+    if (!verification.isValid) {
+      logWarn('Bulk message verification failed', { error: verification.error });
+      return;
+    }
+
+    if (!isBulkExportRunning()) {
+      logDebug('Ignoring bulk message without an active session');
+      return;
+    }
+
+    const payload = event.data.payload || {};
+
+    switch (payload.event) {
+      case 'progress':
+        updateBulkStatus({
+          state: payload.phase,
+          listed: payload.listed ?? bulkSession.status.listed,
+          completed: payload.completed ?? bulkSession.status.completed,
+          failed: payload.failed ?? bulkSession.status.failed,
+          excluded: payload.excluded ?? bulkSession.status.excluded,
+          total: payload.total ?? bulkSession.status.total
+        });
+        break;
+
+      case 'project':
+        if (payload.data && typeof payload.data === 'object') {
+          bulkSession.project = payload.data;
+        }
+        break;
+
+      case 'conversation':
+        if (payload.data && typeof payload.data === 'object') {
+          bulkSession.batch.push(payload.data);
+          if (bulkSession.batch.length >= BULK_BATCH_SIZE) {
+            flushBulkBatch();
+          }
+        }
+        break;
+
+      case 'done':
+        updateBulkStatus({
+          completed: payload.completed,
+          failed: payload.failed,
+          excluded: payload.excluded,
+          total: payload.total
+        });
+        await finishBulkExport();
+        break;
+
+      case 'cancelled':
+        discardBulkBatches(bulkSession);
+        bulkSession.project = null;
+        updateBulkStatus({ state: 'cancelled' });
+        break;
+
+      case 'error':
+        discardBulkBatches(bulkSession);
+        bulkSession.project = null;
+        updateBulkStatus({ state: 'error', error: payload.error || 'Bulk export failed' });
+        break;
+    }
+  });
+
   /**
    * Listen for messages from popup/background
    */
@@ -294,7 +583,9 @@
     if (message.type === 'GET_CAPTURED_CONVERSATIONS') {
       const conversations = Array.from(capturedConversations.entries()).map(([id, data]) => ({
         id,
-        title: data.name || 'Untitled Conversation'
+        title: data.name || 'Untitled Conversation',
+        messageCount: countMessages(data),
+        capturedAt: new Date(conversationTimestamps.get(id) || Date.now()).toISOString()
       }));
 
       sendResponse({
@@ -306,6 +597,112 @@
       return false;
     }
 
+    if (message.type === 'START_BULK_EXPORT' && message.platform === 'claude') {
+      if (isBulkExportRunning()) {
+        sendResponse({ success: false, error: 'A bulk export is already running.' });
+        return false;
+      }
+
+      const options = message.options || {};
+      const projectId = typeof options.projectId === 'string' && UUID_PATTERN.test(options.projectId)
+        ? options.projectId
+        : null;
+      // Bulk filters do not apply to project exports, which cover the whole project
+      const filters = projectId ? null : BulkFilters.normalizeFilters(options.filters);
+
+      // Filters the conversation list cannot answer would need every conversation fetched first
+      const unlisted = BulkFilters.findUnlistedFilters(filters, 'claude');
+      if (unlisted.length > 0) {
+        sendResponse({
+          success: false,
+          error: `Filter not available on Claude (needs every conversation fetched first): ${unlisted.join(', ')}`
+        });
+        return false;
+      }
+
+      if (options.projectId !== undefined && !projectId) {
+        sendResponse({ success: false, error: 'Invalid project ID.' });
+        return false;
+      }
+
+      bulkSession = {
+        status: { state: 'listing', listed: 0, completed: 0, failed: 0, excluded: 0, total: 0, error: null },
+        batch: [], // Fetched conversations not yet sent to the background
+        exportId: crypto.randomUUID(),
+        sent: 0,
+        sending: Promise.resolve(),
+        refused: false,
+        project: null,
+        options: { ...options, filters, projectId }
+      };
+
+      sendBulkCommand('start', { filters, projectId }).then(() => {
+        sendResponse({ success: true, status: { ...bulkSession.status } });
+      }).catch(error => {
+        bulkSession = null;
+        sendResponse({ success: false, error: error.message });
+      });
+
+      return true; // Keep channel open for async response
+    }
+
+    if (message.type === 'CANCEL_BULK_EXPORT' && message.platform === 'claude') {
+      if (!isBulkExportRunning()) {
+        sendResponse({ success: false, error: 'No bulk export is running.' });
+        return false;
+      }
+
+      sendBulkCommand('cancel').then(() => {
+        sendResponse({ success: true });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+
+      return true; // Keep channel open for async response
+    }
+
+    if (message.type === 'GET_BULK_EXPORT_STATUS') {
+      sendResponse({
+        success: true,
+        platform: 'claude',
+        status: bulkSession ? { ...bulkSession.status } : null,
+        project: getCurrentProject()
+      });
+      return false;
+    }
+
+    if (message.type === 'EXPORT_CAPTURED_CONVERSATIONS' && message.platform === 'claude') {
+      const conversationIds = Array.isArray(message.conversationIds) ? message.conversationIds : [];
+      const payloads = conversationIds
+        .filter(id => typeof id === 'string' && capturedConversations.has(id))
+        .map(id => capturedConversations.get(id));
+
+      if (payloads.length === 0) {
+        sendResponse({
+          success: false,
+          error: 'None of the selected conversations are still captured. Please reload them.'
+        });
+        return false;
+      }
+
+      // Forward as one dataset, merged like a bulk export
+      browser.runtime.sendMessage({
+        type: 'BULK_CONVERSATION_DATA',
+        payloads: payloads,
+        platform: 'claude',
+        options: message.options || {}
+      }).then(() => {
+        sendResponse({ success: true, count: payloads.length });
+      }).catch(error => {
+        sendResponse({
+          success: false,
+          error: error.message
+        });
+      });
+
+      return true; // Keep channel open for async response
+    }
+
     if (message.type === 'EXPORT_CONVERSATION' && message.platform === 'claude') {
       const conversationId = message.conversationId;
       const conversationData = capturedConversations.get(conversationId);
@@ -318,11 +715,12 @@
         return false;
       }
 
-      // Forward to background for CSV generation
+      // Forward to background for file generation (format chosen in popup)
       browser.runtime.sendMessage({
         type: MESSAGE_TYPE,
         payload: conversationData,
-        platform: 'claude'
+        platform: 'claude',
+        options: message.options || {}
       }).then(() => {
         sendResponse({ success: true });
       }).catch(error => {
@@ -14,12 +14,22 @@
   const MESSAGE_TYPE = 'CLAUDE_CONVERSATION_DATA';
   const SOURCE_ID = 'claude-exporter-inject';
 
+  // Bulk export channel (content script <-> page script)
+  const BULK_MESSAGE_TYPE = 'CLAUDE_BULK_EXPORT';
+  const BULK_COMMAND_TYPE = 'CLAUDE_BULK_COMMAND';
+  const CONTENT_SOURCE_ID = 'claude-exporter-content';
+
   // Logging configuration
   const DEBUG_MODE = false; // Set to true for development, false for production
 
   // Response validation configuration
   const MAX_RESPONSE_SIZE = 100 * 1024 * 1024; // 100MB
 
+  // Bulk export throttling configuration
+  const BULK_PAGE_SIZE = 50; // Conversations per list request
+  const BULK_FETCH_DELAY_MS = 1000; // Pause between conversation requests
+  const BULK_MAX_RETRIES = 3; // Retries for rate-limited (429) or server errors
+
   // Store captured conversation IDs to avoid duplicate fetches
   const capturedIds = new Set();
 
@@ -27,6 +37,9 @@
   let capturedHeaders = null;
   let capturedOrgId = null;
 
+  // Running bulk export ({ cancelled }), or null when idle
+  let bulkExport = null;
+
   // Store the original fetch function
   const originalFetch = window.fetch;
 
@@ -229,6 +242,67 @@
     });
   }
 
+  /**
+   * Record the organization a conversation belongs to
+   * The conversation JSON does not name its organization; the API URL does.
+   * @param {Object} data - Conversation JSON
+   * @param {string|null} orgId - Organization UUID from the request URL
+   * @returns {Object} Conversation JSON with `organization_uuid` when known
+   */
+  function addOrganization(data, orgId) {
+    if (!orgId || data.organization_uuid) {
+      return data;
+    }
+    return { ...data, organization_uuid: orgId };
+  }
+
+  /**
+   * Record the project a conversation belongs to (project exports)
+   * Conversation JSON names its project by UUID at most; the project name
+   * links the conversation in the metadata table.
+   * @param {Object} data - Conversation JSON
+   * @param {Object} project - Project JSON ({ uuid, name, ... })
+   * @returns {Object} Conversation JSON with `project_uuid` and `project`
+   */
+  function addProject(data, project) {
+    return {
+      ...data,
+      project_uuid: data.project_uuid || project.uuid,
+      project: { uuid: project.uuid, name: project.name, ...data.project }
+    };
+  }
+
+  /**
+   * Request a conversation from the API using the captured headers and Org ID
+   * @param {string} conversationId - Conversation UUID
+   * @returns {Promise<Object>} Conversation JSON
+   * @throws {Error} With a `status` property when the response is rejected
+   */
+  async function requestConversation(conversationId) {
+    // tree=True returns every branch (edits and retries), not only the current one
+    const response = await originalFetch(`https://claude.ai/api/organizations/${capturedOrgId}/chat_conversations/${conversationId}?tree=True&rendering_mode=messages`, {
+      method: 'GET',
+      headers: capturedHeaders
+    });
+
+    // Validate response
+    const validation = validateResponse(response);
+    if (!validation.isValid) {
+      const error = new Error(validation.error);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+
+    // Validate data structure before processing
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid data structure: not an object');
+    }
+
+    return addOrganization(data, capturedOrgId);
+  }
+
   /**
    * Manually fetch conversation data
    */
@@ -246,33 +320,290 @@
     logDebug('Active fetch triggered', { conversationId });
 
     try {
-      const response = await originalFetch(`https://claude.ai/api/organizations/${capturedOrgId}/chat_conversations/${conversationId}`, {
-        method: 'GET',
-        headers: capturedHeaders
+      const data = await requestConversation(conversationId);
+      await sendDataToContentScript(data);
+    } catch (error) {
+      logError('Active fetch error', { error: error.message });
+    }
+  }
+
+  // ============================================================================
+  // BULK EXPORT
+  // ============================================================================
+
+  /**
+   * Wait for the given number of milliseconds
+   */
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Run a request, retrying with exponential backoff when rate-limited
+   * or when the server fails
+   */
+  async function withRetry(request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const retryable = error.status === 429 || error.status >= 500;
+        if (!retryable || attempt >= BULK_MAX_RETRIES) {
+          throw error;
+        }
+        const delay = BULK_FETCH_DELAY_MS * Math.pow(2, attempt + 1);
+        logWarn('Request throttled, retrying', { status: error.status, delay });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Request one page of the conversation list
+   * @param {number} offset - Conversations to skip
+   * @param {string|null} projectId - List only this project's conversations
+   * @returns {Promise<Array<Object>>} Conversation summaries ({ uuid, name, created_at, updated_at, ... })
+   */
+  async function requestConversationList(offset, projectId = null) {
+    const path = projectId ? `projects/${projectId}/conversations` : 'chat_conversations';
+    const data = await requestOrganizationJSON(`${path}?limit=${BULK_PAGE_SIZE}&offset=${offset}`);
+    return Array.isArray(data) ? data : [];
+  }
+
+  /**
+   * Request a JSON resource of the organization
+   * @param {string} path - Path below /api/organizations/{orgId}/
+   * @returns {Promise<*>} Parsed JSON
+   * @throws {Error} With a `status` property when the response is rejected
+   */
+  async function requestOrganizationJSON(path) {
+    const response = await originalFetch(
+      `https://claude.ai/api/organizations/${capturedOrgId}/${path}`,
+      { method: 'GET', headers: capturedHeaders }
+    );
+
+    const validation = validateResponse(response);
+    if (!validation.isValid) {
+      const error = new Error(validation.error);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Request a project with its knowledge documents
+   * The project carries the name, description and custom instructions
+   * (prompt_template); documents carry file_name and their text content.
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<Object>} Project JSON with a `docs` array
+   */
+  async function requestProject(projectId) {
+    const project = await withRetry(() => requestOrganizationJSON(`projects/${projectId}`));
+    if (!project || typeof project !== 'object' || !project.uuid) {
+      throw new Error('Invalid project data');
+    }
+
+    await sleep(BULK_FETCH_DELAY_MS);
+    const docs = await withRetry(() => requestOrganizationJSON(`projects/${projectId}/docs`));
+
+    return { ...project, docs: Array.isArray(docs) ? docs : [] };
+  }
+
+  /**
+   * Page through the conversation list endpoint
+   * Stops when a page adds no new conversations, which also covers
+   * API versions that ignore limit/offset and return the whole list.
+   * @param {string|null} projectId - List only this project's conversations
+   * @returns {Promise<Array<Object>>} Conversation summaries
+   */
+  async function listAllConversations(projectId = null) {
+    const items = [];
+    const seenIds = new Set();
+    let offset = 0;
+
+    while (!bulkExport.cancelled) {
+      const pageItems = await withRetry(() => requestConversationList(offset, projectId));
+      const newItems = pageItems.filter(item => item && item.uuid && !seenIds.has(item.uuid));
+
+      newItems.forEach(item => {
+        seenIds.add(item.uuid);
+        items.push(item);
       });
 
-      // Validate response
-      const validation = validateResponse(response);
-      if (!validation.isValid) {
-        logWarn('Active fetch validation failed', { error: validation.error });
-        return;
+      await postBulkMessage({ event: 'progress', phase: 'listing', listed: items.length });
+
+      offset += pageItems.length;
+      if (newItems.length === 0 || pageItems.length < BULK_PAGE_SIZE) {
+        break;
       }
 
-      const data = await response.json();
+      await sleep(BULK_FETCH_DELAY_MS);
+    }
+
+    return items;
+  }
+
+  /**
+   * Summarize a conversation list item for filtering
+   */
+  function summarizeListItem(item) {
+    return {
+      title: item.name,
+      createdAt: item.created_at,
+      updatedAt: item.updated_at,
+      model: item.model || undefined
+    };
+  }
+
+  /**
+   * Send a signed bulk export message to the content script
+   */
+  async function postBulkMessage(payload) {
+    const secret = getSecretKey();
+    if (!secret) {
+      logWarn('Secret key not available, cannot send bulk export message');
+      return;
+    }
+
+    const signedMessage = await MessageSecurity.createSignedMessage(
+      payload,
+      BULK_MESSAGE_TYPE,
+      SOURCE_ID,
+      'claude',
+      secret
+    );
+
+    window.postMessage(signedMessage, window.location.origin);
+  }
+
+  /**
+   * Fetch every conversation in the organization, one at a time with throttling
+   * Each conversation is posted to the content script as it arrives. Filters
+   * are checked against the list metadata first, so excluded conversations
+   * are never requested; conversations the list cannot decide are excluded
+   * as well and never fetched.
+   *
+   * With a project ID, only that project's conversations are exported; the
+   * project (instructions and knowledge documents) is posted first.
+   * @param {Object} [rawFilters] - Bulk export filters (see shared/bulk-filters.js)
+   * @param {string|null} [projectId] - Project UUID for a project export
+   */
+  async function runBulkExport(rawFilters, projectId = null) {
+    if (bulkExport) {
+      logWarn('Bulk export already running');
+      return;
+    }
+
+    if (!capturedHeaders || !capturedOrgId) {
+      await postBulkMessage({
+        event: 'error',
+        error: 'No API headers or organization captured yet. Reload the page and try again.'
+      });
+      return;
+    }
+
+    // A project export always covers every conversation of the project
+    const filters = projectId ? null : BulkFilters.normalizeFilters(rawFilters);
+    bulkExport = { cancelled: false };
+    logInfo('Bulk export started', { filters, projectId });
 
-      // Validate data structure before processing
-      if (!data || typeof data !== 'object') {
-        logWarn('Invalid data structure: not an object');
-        return;
+    try {
+      let project = null;
+      if (projectId) {
+        project = await requestProject(projectId);
+        await postBulkMessage({ event: 'project', data: project });
       }
 
-      await sendDataToContentScript(data);
+      // The project listing only returns the project's conversations; nothing else is listed
+      const items = await listAllConversations(projectId);
+      const candidates = [];
+      let excluded = 0;
+
+      // Undecided conversations (a needed field missing from the list) are never fetched
+      items.forEach(item => {
+        if (BulkFilters.evaluate(filters, summarizeListItem(item)) === true) {
+          candidates.push(item);
+        } else {
+          excluded++;
+        }
+      });
+
+      // Excluded conversations count as processed, so progress covers the whole list
+      const total = items.length;
+      let completed = 0;
+      let failed = 0;
 
+      await postBulkMessage({ event: 'progress', phase: 'fetching', completed, failed, excluded, total });
+
+      for (const item of candidates) {
+        if (bulkExport.cancelled) break;
+
+        try {
+          const fetched = await withRetry(() => requestConversation(item.uuid));
+          const data = project ? addProject(fetched, project) : fetched;
+          await postBulkMessage({ event: 'conversation', data });
+          completed++;
+        } catch (error) {
+          failed++;
+          logWarn('Bulk fetch failed for conversation', { uuid: item.uuid, error: error.message });
+        }
+
+        await postBulkMessage({ event: 'progress', phase: 'fetching', completed, failed, excluded, total });
+
+        if (!bulkExport.cancelled) {
+          await sleep(BULK_FETCH_DELAY_MS);
+        }
+      }
+
+      await postBulkMessage({
+        event: bulkExport.cancelled ? 'cancelled' : 'done',
+        completed,
+        failed,
+        excluded,
+        total
+      });
+      logInfo('Bulk export finished', { completed, failed, excluded, total, cancelled: bulkExport.cancelled });
     } catch (error) {
-      logError('Active fetch error', { error: error.message });
+      logError('Bulk export error', { error: error.message });
+      await postBulkMessage({ event: 'error', error: error.message });
+    } finally {
+      bulkExport = null;
     }
   }
 
+  /**
+   * Listen for signed bulk export commands from the content script
+   */
+  window.addEventListener('message', async event => {
+    if (event.source !== window) return;
+    if (!event.data || event.data.type !== BULK_COMMAND_TYPE) return;
+
+    const secret = getSecretKey();
+    if (!secret) return;
+
+    const verification = await MessageSecurity.verifySignedMessage(
+      event.data,
+      BULK_COMMAND_TYPE,
+      CONTENT_SOURCE_ID,
+      secret
+    );
+
+    if (!verification.isValid) {
+      logWarn('Bulk command verification failed', { error: verification.error });
+      return;
+    }
+
+    const action = event.data.payload?.action;
+    if (action === 'start') {
+      runBulkExport(event.data.payload.filters, event.data.payload.projectId || null);
+    } else if (action === 'cancel' && bulkExport) {
+      bulkExport.cancelled = true;
+      logInfo('Bulk export cancellation requested');
+    }
+  });
+
   /**
    * Check current URL and trigger fetch if it's a conversation
    */
@@ -425,7 +756,7 @@
 
             // Validate platform-specific structure
             if (Array.isArray(data.chat_messages)) {
-              await sendDataToContentScript(data);
+              await sendDataToContentScript(addOrganization(data, extractOrgId(url) || capturedOrgId));
             }
           })
           .catch(error => {
@@ -0,0 +1,247 @@
+/**
+ * Claude Platform - Normalizer
+ *
+ * Maps the Claude conversation JSON (flat `chat_messages` array with
+ * content blocks) into the shared conversation schema defined in utils/schema.js.
+ * Edited prompts and retried answers share a parent_message_uuid; the branch
+ * tree is rebuilt from those links, with current_leaf_message_uuid as the
+ * active leaf.
+ */
+
+import {
+  createConversation,
+  createMessage,
+  createContentBlock,
+  createAttachment
+} from '../../utils/schema.js';
+import { annotateMessageTree } from '../../utils/tree.js';
+import { createProject, createKnowledgeDocument } from '../../utils/project.js';
+
+/**
+ * Claude's sentinel parent UUID for the first message of a conversation
+ */
+const ROOT_PARENT_UUID = '00000000-0000-4000-8000-000000000000';
+
+/**
+ * Map Claude sender names to unified roles
+ */
+const SENDER_ROLES = {
+  human: 'user',
+  assistant: 'assistant'
+};
+
+/**
+ * Extract text content from Claude message content array
+ * Claude messages can have multiple content blocks
+ */
+export function extractTextFromContent(content) {
+  if (!content || !Array.isArray(content)) {
+    return '';
+  }
+
+  return content
+    .filter(block => block && block.type === 'text')
+    .map(block => block.text || '')
+    .join('\n\n');
+}
+
+/**
+ * Extract the output of a tool_result block
+ * Content is a string or a list of items: text items, and knowledge items
+ * (web search results) with a title and URL.
+ */
+function extractToolResultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+
+  return content
+    .filter(item => item && typeof item === 'object')
+    .map(item => item.text || [item.title, item.url].filter(Boolean).join(' '))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Get the plain text of a Claude content block
+ * text blocks carry the message text, thinking blocks the reasoning and
+ * tool_result blocks the tool output; other blocks carry none.
+ */
+function getBlockText(block) {
+  switch (block.type) {
+    case 'text':
+      return block.text || '';
+    case 'thinking':
+      return block.thinking || '';
+    case 'tool_result':
+      return extractToolResultText(block.content);
+    default:
+      return '';
+  }
+}
+
+/**
+ * Convert Claude content blocks into normalized content blocks
+ * Every block type is kept (text, thinking, tool_use, tool_result, ...).
+ */
+function extractContentBlocks(content) {
+  if (!Array.isArray(content)) {
+    return [];
+  }
+
+  return content
+    .filter(block => block && typeof block === 'object')
+    .map(block => createContentBlock({
+      type: block.type || 'unknown',
+      text: getBlockText(block),
+      tool_name: block.name,
+      tool_use_id: block.type === 'tool_use' ? block.id : block.tool_use_id,
+      input: block.type === 'tool_use' ? block.input : undefined,
+      is_error: block.is_error === true,
+      started_at: block.start_timestamp,
+      stopped_at: block.stop_timestamp,
+      data: block
+    }));
+}
+
+/**
+ * Collect attachments (pasted/extracted documents) and files (uploads) of a message
+ */
+function extractAttachments(msg) {
+  const attachments = [];
+
+  if (Array.isArray(msg.attachments)) {
+    for (const att of msg.attachments) {
+      attachments.push(createAttachment({
+        attachment_id: att.id || att.uuid,
+        source: 'attachment',
+        file_name: att.file_name,
+        file_type: att.file_type,
+        file_size: att.file_size,
+        extracted_content: att.extracted_content
+      }));
+    }
+  }
+
+  if (Array.isArray(msg.files)) {
+    for (const file of msg.files) {
+      attachments.push(createAttachment({
+        attachment_id: file.file_uuid || file.uuid,
+        source: file.file_kind === 'image' ? 'image' : 'file',
+        file_name: file.file_name,
+        file_type: file.file_kind
+      }));
+    }
+  }
+
+  return attachments;
+}
+
+/**
+ * Read an on/off conversation setting
+ * @returns {boolean|string} The setting, or empty string when Claude did not send it
+ */
+function readSetting(settings, key, enabledValue = true) {
+  if (!settings || settings[key] === undefined || settings[key] === null) {
+    return '';
+  }
+  return settings[key] === enabledValue;
+}
+
+/**
+ * Normalize a Claude conversation into the shared schema
+ * @param {Object} convJson - The Claude conversation JSON object
+ * @returns {Object} Normalized conversation
+ */
+export function normalizeClaudeConversation(convJson) {
+  if (!convJson || !Array.isArray(convJson.chat_messages)) {
+    throw new Error('Invalid Claude conversation data: missing chat_messages');
+  }
+
+  const messages = [];
+
+  for (const msg of convJson.chat_messages) {
+    try {
+      const blocks = extractContentBlocks(msg.content);
+      const blockTypes = [...new Set(blocks.map(block => block.type))];
+      const toolNames = [...new Set(blocks.filter(block => block.type === 'tool_use').map(block => block.tool_name))];
+      const parentId = msg.parent_message_uuid === ROOT_PARENT_UUID ? '' : msg.parent_message_uuid;
+
+      messages.push(createMessage({
+        message_id: msg.uuid,
+        parent_id: parentId,
+        index: messages.length,
+        role: SENDER_ROLES[msg.sender] || msg.sender,
+        content_type: blockTypes.join(','),
+        text: extractTextFromContent(msg.content),
+        created_at: msg.created_at,
+        updated_at: msg.updated_at,
+        model: msg.model,
+        stop_reason: msg.stop_reason,
+        truncated: msg.truncated,
+        tool_name: toolNames.filter(Boolean).join(','),
+        blocks: blocks,
+        attachments: extractAttachments(msg)
+      }));
+    } catch (error) {
+      console.error('[Claude] Error processing message:', error);
+      // Continue with next message
+    }
+  }
+
+  return createConversation({
+    platform: 'claude',
+    conversation_id: convJson.uuid,
+    title: convJson.name,
+    created_at: convJson.created_at,
+    updated_at: convJson.updated_at,
+    model: convJson.model,
+    metadata: {
+      organization_uuid: convJson.organization_uuid || '',
+      project_uuid: convJson.project_uuid || convJson.project?.uuid || '',
+      project_name: convJson.project?.name || '',
+      is_starred: convJson.is_starred === true,
+      summary: convJson.summary || '',
+      extended_thinking: readSetting(convJson.settings, 'paprika_mode', 'extended'),
+      web_search: readSetting(convJson.settings, 'enabled_web_search'),
+      settings: convJson.settings || {}
+    },
+    messages: annotateMessageTree(messages, convJson.current_leaf_message_uuid)
+  });
+}
+
+/**
+ * Normalize a Claude project with its knowledge documents
+ * @param {Object} projectJson - The Claude project JSON object with a `docs` array
+ *   (added by the page script from the project's docs endpoint)
+ * @returns {Object} Normalized project (see utils/project.js)
+ */
+export function normalizeClaudeProject(projectJson) {
+  if (!projectJson || typeof projectJson !== 'object' || !projectJson.uuid) {
+    throw new Error('Invalid Claude project data: missing uuid');
+  }
+
+  const docs = Array.isArray(projectJson.docs) ? projectJson.docs : [];
+
+  return createProject({
+    platform: 'claude',
+    project_id: projectJson.uuid,
+    name: projectJson.name,
+    description: projectJson.description,
+    instructions: projectJson.prompt_template,
+    is_private: projectJson.is_private,
+    created_at: projectJson.created_at,
+    updated_at: projectJson.updated_at,
+    documents: docs
+      .filter(doc => doc && typeof doc === 'object')
+      .map(doc => createKnowledgeDocument({
+        document_id: doc.uuid,
+        file_name: doc.file_name,
+        created_at: doc.created_at,
+        content: doc.content
+      }))
+  });
+}
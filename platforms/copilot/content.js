@@ -15,11 +15,12 @@
   const SOURCE_ID = 'copilot-exporter-inject';
 
   // Logging configuration
-  const DEBUG_MODE = false; // Set to true for development, false for production
+  let debugMode = false; // Set from the debug preference (shared/preferences.js)
 
   // Memory management configuration
   const MAX_STORED_CONVERSATIONS = 50;
   const MAX_CONVERSATION_AGE_MS = 3600000; // 1 hour
+  let keepCapturedConversations = true; // Privacy preference: false keeps only the latest capture
   const CLEANUP_INTERVAL_MS = 300000; // 5 minutes
 
   // Store captured conversations in memory with timestamps
@@ -53,7 +54,7 @@
   }
 
   function logDebug(message, data = null) {
-    if (!DEBUG_MODE) return;
+    if (!debugMode) return;
     if (data) {
       console.log(`[${PLATFORM}] [DEBUG]`, message, redactSensitiveData(data));
     } else {
@@ -99,6 +100,10 @@
    * Implements LRU (Least Recently Used) eviction when limit is reached
    */
   function storeConversation(id, data) {
+    if (!keepCapturedConversations) {
+      discardOtherConversations(id);
+    }
+
     // Clean up oldest conversation if at limit
     if (capturedConversations.size >= MAX_STORED_CONVERSATIONS) {
       // Find oldest conversation by timestamp
@@ -124,6 +129,14 @@
     conversationTimestamps.set(id, Date.now());
   }
 
+  /**
+   * Count the user and assistant messages in a captured conversation
+   */
+  function countMessages(data) {
+    const results = Array.isArray(data.results) ? data.results : [];
+    return results.filter(result => ['human', 'ai'].includes(result?.author?.type)).length;
+  }
+
   /**
    * Clean up old conversations based on age
    */
@@ -147,6 +160,35 @@
   // Start periodic cleanup
   setInterval(cleanupOldConversations, CLEANUP_INTERVAL_MS);
 
+  /**
+   * Forget every captured conversation except one
+   */
+  function discardOtherConversations(keepId) {
+    for (const id of Array.from(capturedConversations.keys())) {
+      if (id !== keepId) {
+        capturedConversations.delete(id);
+        conversationTimestamps.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Apply user preferences (shared/preferences.js)
+   * Turning off keepCapturedConversations drops all but the latest capture.
+   */
+  function applyPreferences(preferences) {
+    debugMode = preferences.debug;
+    keepCapturedConversations = preferences.keepCapturedConversations;
+
+    if (!keepCapturedConversations && capturedConversations.size > 1) {
+      const [latestId] = Array.from(conversationTimestamps.entries()).sort((a, b) => b[1] - a[1])[0];
+      discardOtherConversations(latestId);
+    }
+  }
+
+  Preferences.load().then(applyPreferences);
+  Preferences.onChanged(applyPreferences);
+
   /**
    * Verify HMAC-SHA256 signature
    */
@@ -290,7 +332,9 @@
     if (message.type === 'GET_CAPTURED_CONVERSATIONS') {
       const conversations = Array.from(capturedConversations.entries()).map(([id, data]) => ({
         id,
-        title: data.title || data.topic || 'Untitled Conversation'
+        title: data.title || data.topic || 'Untitled Conversation',
+        messageCount: countMessages(data),
+        capturedAt: new Date(conversationTimestamps.get(id) || Date.now()).toISOString()
       }));
 
       sendResponse({
@@ -302,6 +346,38 @@
       return false;
     }
 
+    if (message.type === 'EXPORT_CAPTURED_CONVERSATIONS' && message.platform === 'copilot') {
+      const conversationIds = Array.isArray(message.conversationIds) ? message.conversationIds : [];
+      const payloads = conversationIds
+        .filter(id => typeof id === 'string' && capturedConversations.has(id))
+        .map(id => capturedConversations.get(id));
+
+      if (payloads.length === 0) {
+        sendResponse({
+          success: false,
+          error: 'None of the selected conversations are still captured. Please reload them.'
+        });
+        return false;
+      }
+
+      // Forward as one dataset, merged like a bulk export
+      browser.runtime.sendMessage({
+        type: 'BULK_CONVERSATION_DATA',
+        payloads: payloads,
+        platform: 'copilot',
+        options: message.options || {}
+      }).then(() => {
+        sendResponse({ success: true, count: payloads.length });
+      }).catch(error => {
+        sendResponse({
+          success: false,
+          error: error.message
+        });
+      });
+
+      return true; // Keep channel open for async response
+    }
+
     if (message.type === 'EXPORT_CONVERSATION' && message.platform === 'copilot') {
       const conversationId = message.conversationId;
       const conversationData = capturedConversations.get(conversationId);
@@ -314,11 +390,12 @@
         return false;
       }
 
-      // Forward to background for CSV generation
+      // Forward to background for file generation (format chosen in popup)
       browser.runtime.sendMessage({
         type: MESSAGE_TYPE,
         payload: conversationData,
-        platform: 'copilot'
+        platform: 'copilot',
+        options: message.options || {}
       }).then(() => {
         sendResponse({ success: true });
       }).catch(error => {
@@ -0,0 +1,138 @@
+/**
+ * Copilot Platform - Normalizer
+ *
+ * Maps the Copilot conversation history JSON (flat `results` array with
+ * content parts) into the shared conversation schema defined in utils/schema.js.
+ */
+
+import {
+  createConversation,
+  createMessage,
+  createContentBlock
+} from '../../utils/schema.js';
+
+/**
+ * Map Copilot author types to unified roles
+ */
+const AUTHOR_ROLES = {
+  human: 'user',
+  ai: 'assistant'
+};
+
+/**
+ * Extract text content from Copilot content parts array
+ * Copilot messages can have multiple content parts with type "text"
+ */
+export function extractTextFromContent(content) {
+  if (!content || !Array.isArray(content)) {
+    return '';
+  }
+
+  return content
+    .filter(part => part && part.type === 'text')
+    .map(part => part.text || '')
+    .join('\n\n');
+}
+
+/**
+ * Get the metadata column counting the messages of an author type
+ * @param {string} authorType - Copilot author type, e.g. "human" or "ai"
+ * @returns {string} Column name, e.g. "num_human_messages"
+ */
+function getAuthorCountColumn(authorType) {
+  return `num_${String(authorType).toLowerCase().replace(/[^a-z0-9]+/g, '_')}_messages`;
+}
+
+/**
+ * Summarize the history results for the conversation metadata
+ * The history has no conversation-level timestamps or settings, so they are
+ * derived from the messages: first and last message time, one
+ * `num_<type>_messages` count per author type (human and ai always present),
+ * and the channels and modes used.
+ */
+function summarizeResults(results, messages) {
+  const authorCounts = {};
+  Object.keys(AUTHOR_ROLES).forEach(authorType => {
+    authorCounts[getAuthorCountColumn(authorType)] = 0;
+  });
+  const channels = new Set();
+  const modes = new Set();
+
+  for (const result of results) {
+    const column = getAuthorCountColumn(result?.author?.type || 'unknown');
+    authorCounts[column] = (authorCounts[column] || 0) + 1;
+    if (result?.channel) channels.add(result.channel);
+    if (result?.mode) modes.add(result.mode);
+  }
+
+  const timestamps = messages.map(message => message.created_at).filter(Boolean).sort();
+
+  return {
+    created_at: timestamps[0],
+    updated_at: timestamps[timestamps.length - 1],
+    metadata: {
+      ...authorCounts,
+      channels: [...channels].join(','),
+      modes: [...modes].join(',')
+    }
+  };
+}
+
+/**
+ * Normalize a Copilot conversation into the shared schema
+ * @param {Object} convJson - The Copilot conversation JSON object
+ * @returns {Object} Normalized conversation
+ */
+export function normalizeCopilotConversation(convJson) {
+  if (!convJson || !Array.isArray(convJson.results)) {
+    throw new Error('Invalid Copilot conversation data: missing results');
+  }
+
+  const messages = [];
+
+  for (const result of convJson.results) {
+    try {
+      const authorType = result.author?.type || '';
+      const parts = Array.isArray(result.content) ? result.content : [];
+
+      // Extract part IDs (for reference)
+      const partIds = parts
+        .filter(part => part && part.type === 'text')
+        .map(part => part.partId || '')
+        .join(',');
+
+      messages.push(createMessage({
+        message_id: result.id,
+        index: messages.length,
+        role: AUTHOR_ROLES[authorType] || authorType,
+        content_type: 'text',
+        text: extractTextFromContent(parts),
+        created_at: result.createdAt,
+        blocks: parts
+          .filter(part => part && typeof part === 'object')
+          .map(part => createContentBlock({ type: part.type, text: part.text, data: part })),
+        platform_metadata: {
+          author_type: authorType,
+          channel: result.channel || '',
+          mode: result.mode || '',
+          part_ids: partIds
+        }
+      }));
+    } catch (error) {
+      console.error('[Copilot] Error processing result:', error);
+      // Continue with next result
+    }
+  }
+
+  const summary = summarizeResults(convJson.results, messages);
+
+  return createConversation({
+    platform: 'copilot',
+    conversation_id: convJson.conversationId,
+    title: convJson.title || convJson.topic,
+    created_at: summary.created_at,
+    updated_at: summary.updated_at,
+    metadata: summary.metadata,
+    messages: messages
+  });
+}
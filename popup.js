@@ -73,7 +73,29 @@ const state = {
   export: {
     isExporting: false,
     canExport: false,
-    lastError: null
+    lastError: null,
+    format: 'csv', // Key of EXTENSION_CONFIG.exportFormats
+    branchMode: 'all', // Key of EXTENSION_CONFIG.branchModes
+    columns: MESSAGE_COLUMNS, // Selected message columns
+    columnPreset: 'full', // Key of EXTENSION_CONFIG.columnPresets, 'saved:<name>' or 'custom'
+    savedColumnPresets: {}, // User presets: { name: columns }
+    filenameTemplate: Preferences.DEFAULTS.filenameTemplate // Set on the options page (utils/filename.js)
+    // format, branchMode and the column selection are saved as preferences (shared/preferences.js)
+  },
+
+  // Bulk export state (whole-account export, progress reported by content script)
+  bulk: {
+    supported: false,
+    status: null, // { state, listed, completed, failed, total, error }
+    project: null // Project of the open page ({ id, name }) on platforms with supportsProjectExport
+  },
+
+  // Selectable conversation lists (see CONVERSATION_CHECKLISTS)
+  checklists: {
+    // Captured in this tab: [{ id, title, messageCount, capturedAt }]
+    captured: { conversations: [], selected: new Set() },
+    // Sidebar list index (ChatGPT): [{ id, title, create_time, update_time, gizmo_id, project_id }]
+    index: { conversations: [], selected: new Set() }
   },
 
   // Current tab information
@@ -115,7 +137,873 @@ const exportRateLimit = {
 // ============================================================================
 
 import { EXTENSION_CONFIG, getPlatformByUrl } from './config/settings.js';
+import { MESSAGE_COLUMNS, resolveMessageColumns } from './utils/schema.js';
+import { renderFilename } from './utils/filename.js';
+
+
+// ============================================================================
+// EXPORT FORMAT SELECTION
+// ============================================================================
+
+/**
+ * Get the configuration of the currently selected export format
+ * @returns {Object} Format config ({ label, extension, mimeType })
+ */
+function getSelectedFormat() {
+  return EXTENSION_CONFIG.exportFormats[state.export.format] || EXTENSION_CONFIG.exportFormats.csv;
+}
+
+/**
+ * Get the export button label for the selected format
+ * @returns {string} Button label (e.g., "Export to CSV")
+ */
+function getExportButtonLabel() {
+  return `Export to ${getSelectedFormat().label}`;
+}
+
+/**
+ * Populate the format select from EXTENSION_CONFIG.exportFormats
+ */
+function setupFormatSelect() {
+  const formatSelect = document.getElementById('formatSelect');
+  if (!formatSelect) return;
+
+  formatSelect.innerHTML = '';
+  for (const [formatId, format] of Object.entries(EXTENSION_CONFIG.exportFormats)) {
+    const option = document.createElement('option');
+    option.value = formatId;
+    option.textContent = format.label;
+    option.selected = formatId === state.export.format;
+    formatSelect.appendChild(option);
+  }
+
+  formatSelect.addEventListener('change', handleFormatChange);
+}
+
+/**
+ * Handle export format change
+ * @param {Event} event - Change event from the format select
+ */
+function handleFormatChange(event) {
+  const formatId = event.target.value;
+  if (!EXTENSION_CONFIG.exportFormats[formatId]) {
+    return;
+  }
+
+  state.export.format = formatId;
+  savePreferences({ format: formatId });
+  updateFormatLabels();
+}
+
+/**
+ * Refresh the export button label and file preview for the selected format
+ * Keeps the button's enabled state.
+ */
+function updateFormatLabels() {
+  const exportBtn = document.getElementById('exportBtn');
+  exportBtn.setAttribute('aria-label', `Export conversation to ${getSelectedFormat().label} file`);
+  updateExportButton(state.export.canExport, null, false);
+  const fileName = document.getElementById('fileName');
+  if (fileName && fileName.dataset.title !== undefined) {
+    updateFilePreview(fileName.dataset.title);
+  }
+}
+
+/**
+ * Populate the branch mode select from EXTENSION_CONFIG.branchModes
+ */
+function setupBranchModeSelect() {
+  const branchModeSelect = document.getElementById('branchModeSelect');
+  if (!branchModeSelect) return;
+
+  branchModeSelect.innerHTML = '';
+  for (const [modeId, mode] of Object.entries(EXTENSION_CONFIG.branchModes)) {
+    const option = document.createElement('option');
+    option.value = modeId;
+    option.textContent = mode.label;
+    option.selected = modeId === state.export.branchMode;
+    branchModeSelect.appendChild(option);
+  }
+
+  branchModeSelect.addEventListener('change', event => {
+    if (EXTENSION_CONFIG.branchModes[event.target.value]) {
+      state.export.branchMode = event.target.value;
+      savePreferences({ branchMode: event.target.value });
+    }
+  });
+}
+
+/**
+ * Show the branch mode choice only for platforms that keep branches
+ * @param {Object|null} platform - Platform object or null
+ */
+function updateBranchOptions(platform) {
+  const branchOptions = document.getElementById('branchOptions');
+  if (!branchOptions) return;
+
+  branchOptions.hidden = !(platform && platform.supportsBranches);
+}
+
+// ============================================================================
+// COLUMN SELECTION
+// ============================================================================
+
+/**
+ * Prefix of preset select values that refer to user presets
+ */
+const SAVED_PRESET_PREFIX = 'saved:';
+
+/**
+ * Maximum length of a user preset name
+ */
+const MAX_PRESET_NAME_LENGTH = 40;
+
+/**
+ * Get the columns of a built-in or saved preset
+ * @param {string} presetId - Value of the preset select
+ * @returns {Array<string>|null} Columns, or null for an unknown preset
+ */
+function getColumnPresetColumns(presetId) {
+  if (presetId.startsWith(SAVED_PRESET_PREFIX)) {
+    const columns = state.export.savedColumnPresets[presetId.substring(SAVED_PRESET_PREFIX.length)];
+    return columns ? resolveMessageColumns(columns) : null;
+  }
+
+  const preset = EXTENSION_CONFIG.columnPresets[presetId];
+  if (!preset) return null;
+  return preset.columns ? resolveMessageColumns(preset.columns) : MESSAGE_COLUMNS;
+}
+
+/**
+ * Find the preset whose columns equal the current selection
+ * @returns {string} Preset select value, or 'custom'
+ */
+function findMatchingColumnPreset() {
+  const selected = state.export.columns.join(',');
+  const presetIds = [
+    ...Object.keys(EXTENSION_CONFIG.columnPresets),
+    ...Object.keys(state.export.savedColumnPresets).map(name => SAVED_PRESET_PREFIX + name)
+  ];
+  return presetIds.find(presetId => getColumnPresetColumns(presetId).join(',') === selected) || 'custom';
+}
+
+/**
+ * Save the column selection and user presets as preferences
+ */
+function saveColumnSettings() {
+  savePreferences({
+    columns: state.export.columns,
+    columnPreset: state.export.columnPreset,
+    savedColumnPresets: state.export.savedColumnPresets
+  });
+}
+
+/**
+ * Render the preset select, column checkboxes and summary
+ */
+function renderColumnChooser() {
+  const presetSelect = document.getElementById('columnPresetSelect');
+  const list = document.getElementById('columnChooserList');
+  const count = document.getElementById('columnChooserCount');
+  const hint = document.getElementById('columnChooserHint');
+  const deleteBtn = document.getElementById('columnPresetDeleteBtn');
+  if (!presetSelect || !list || !count || !hint || !deleteBtn) return;
+
+  const addOption = (parent, value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === state.export.columnPreset;
+    parent.appendChild(option);
+  };
+
+  presetSelect.replaceChildren();
+  for (const [presetId, preset] of Object.entries(EXTENSION_CONFIG.columnPresets)) {
+    addOption(presetSelect, presetId, preset.label);
+  }
+  const savedNames = Object.keys(state.export.savedColumnPresets).sort();
+  if (savedNames.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Saved';
+    savedNames.forEach(name => addOption(group, SAVED_PRESET_PREFIX + name, name));
+    presetSelect.appendChild(group);
+  }
+  addOption(presetSelect, 'custom', 'Custom');
+
+  list.replaceChildren();
+  MESSAGE_COLUMNS.forEach(column => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    const name = document.createElement('span');
+
+    label.className = 'column-chooser__item';
+    checkbox.type = 'checkbox';
+    checkbox.value = column;
+    checkbox.checked = state.export.columns.includes(column);
+    checkbox.addEventListener('change', handleColumnToggle);
+    name.textContent = column;
+
+    label.append(checkbox, name);
+    list.appendChild(label);
+  });
+
+  const omitted = MESSAGE_COLUMNS.length - state.export.columns.length;
+  count.textContent = omitted === 0 ?
+    `(all ${MESSAGE_COLUMNS.length})` :
+    `(${state.export.columns.length} of ${MESSAGE_COLUMNS.length})`;
+  hint.textContent = omitted === 0 ?
+    'Every message column is exported.' :
+    `${omitted} message column${omitted === 1 ? ' is' : 's are'} left out of CSV, Excel, JSON and graph exports.`;
+  hint.classList.toggle('column-chooser__hint--warning', omitted > 0);
+  deleteBtn.hidden = !state.export.columnPreset.startsWith(SAVED_PRESET_PREFIX);
+}
+
+/**
+ * Handle preset selection
+ * @param {Event} event - Change event from the preset select
+ */
+function handleColumnPresetChange(event) {
+  const columns = getColumnPresetColumns(event.target.value);
+  if (columns) {
+    state.export.columns = columns;
+  }
+  state.export.columnPreset = event.target.value;
+  renderColumnChooser();
+  saveColumnSettings();
+}
+
+/**
+ * Handle a column checkbox change
+ * The last selected column cannot be cleared.
+ * @param {Event} event - Change event from a column checkbox
+ */
+function handleColumnToggle(event) {
+  const selected = new Set(state.export.columns);
+  if (event.target.checked) {
+    selected.add(event.target.value);
+  } else if (selected.size > 1) {
+    selected.delete(event.target.value);
+  } else {
+    event.target.checked = true;
+    return;
+  }
+
+  state.export.columns = resolveMessageColumns([...selected]);
+  state.export.columnPreset = findMatchingColumnPreset();
+  renderColumnChooser();
+  saveColumnSettings();
+}
+
+/**
+ * Save the current selection as a named user preset
+ */
+function handleColumnPresetSave() {
+  const nameInput = document.getElementById('columnPresetName');
+  const name = nameInput ? nameInput.value.trim().substring(0, MAX_PRESET_NAME_LENGTH) : '';
+  if (!name) {
+    nameInput?.focus();
+    return;
+  }
+
+  state.export.savedColumnPresets[name] = state.export.columns;
+  state.export.columnPreset = SAVED_PRESET_PREFIX + name;
+  nameInput.value = '';
+  renderColumnChooser();
+  saveColumnSettings();
+}
+
+/**
+ * Delete the selected user preset; the columns stay selected
+ */
+function handleColumnPresetDelete() {
+  if (!state.export.columnPreset.startsWith(SAVED_PRESET_PREFIX)) return;
+
+  delete state.export.savedColumnPresets[state.export.columnPreset.substring(SAVED_PRESET_PREFIX.length)];
+  state.export.columnPreset = findMatchingColumnPreset();
+  renderColumnChooser();
+  saveColumnSettings();
+}
+
+/**
+ * Set up the column chooser
+ */
+function setupColumnChooser() {
+  document.getElementById('columnPresetSelect')?.addEventListener('change', handleColumnPresetChange);
+  document.getElementById('columnPresetSaveBtn')?.addEventListener('click', handleColumnPresetSave);
+  document.getElementById('columnPresetDeleteBtn')?.addEventListener('click', handleColumnPresetDelete);
+  renderColumnChooser();
+}
+
+// ============================================================================
+// PREFERENCES (shared/preferences.js; edited here and in the options page)
+// ============================================================================
+
+/**
+ * Apply saved preferences to the popup's export choices
+ * Called at startup and whenever preferences change in another context.
+ * @param {Object} preferences - Complete preferences
+ */
+function applyPreferences(preferences) {
+  setDebugMode(preferences.debug);
+
+  if (EXTENSION_CONFIG.exportFormats[preferences.format]) {
+    state.export.format = preferences.format;
+  }
+  if (EXTENSION_CONFIG.branchModes[preferences.branchMode]) {
+    state.export.branchMode = preferences.branchMode;
+  }
+
+  state.export.columns = resolveMessageColumns(preferences.columns);
+  state.export.savedColumnPresets = preferences.savedColumnPresets;
+  state.export.filenameTemplate = preferences.filenameTemplate;
+  const presetColumns = getColumnPresetColumns(preferences.columnPreset);
+  state.export.columnPreset = presetColumns && presetColumns.join(',') === state.export.columns.join(',') ?
+    preferences.columnPreset :
+    findMatchingColumnPreset();
+
+  const formatSelect = document.getElementById('formatSelect');
+  if (formatSelect) formatSelect.value = state.export.format;
+  const branchModeSelect = document.getElementById('branchModeSelect');
+  if (branchModeSelect) branchModeSelect.value = state.export.branchMode;
+
+  updateFormatLabels();
+  renderColumnChooser();
+}
+
+/**
+ * Save preference changes made in the popup
+ * @param {Object} changes - Preferences to update
+ */
+async function savePreferences(changes) {
+  try {
+    await Preferences.save(changes);
+  } catch (error) {
+    popupLogDebug('savePreferences', 'Failed to save preferences', { error: error.message });
+  }
+}
+
+// ============================================================================
+// BULK EXPORT
+// ============================================================================
+
+/**
+ * Bulk export states during which the export is still running
+ */
+const BULK_RUNNING_STATES = ['listing', 'fetching', 'exporting'];
+
+/**
+ * Show or hide the bulk export section for the detected platform
+ * and restore progress of a bulk export started earlier in this tab
+ * @param {Object|null} platform - Platform object or null
+ */
+async function updateBulkExportSection(platform) {
+  const bulkExport = document.getElementById('bulkExport');
+  if (!bulkExport) return;
+
+  state.bulk.supported = !!(platform && platform.supportsBulkExport);
+  bulkExport.hidden = !state.bulk.supported;
+  renderProjectExport(null);
+  setBulkFiltersDisabled(false);
+
+  updateConversationIndex();
+
+  if (!state.bulk.supported || !state.currentTab) {
+    return;
+  }
+
+  try {
+    const response = await browser.tabs.sendMessage(state.currentTab.id, {
+      type: 'GET_BULK_EXPORT_STATUS'
+    });
+    if (response && response.success) {
+      renderProjectExport(platform.supportsProjectExport ? response.project : null);
+      renderBulkStatus(response.status);
+    }
+  } catch (error) {
+    // Content script not ready yet; the section stays in its idle state
+    popupLogDebug('updateBulkExportSection', 'Bulk export status unavailable', { error: error.message });
+  }
+}
+
+/**
+ * Show the project export button when the open page belongs to a project
+ * @param {Object|null} project - { id, name } from the content script, or null
+ */
+function renderProjectExport(project) {
+  const projectExportBtn = document.getElementById('projectExportBtn');
+  const projectExportText = document.getElementById('projectExportText');
+
+  state.bulk.project = project && typeof project.id === 'string' ? project : null;
+  projectExportBtn.hidden = !state.bulk.project;
+  projectExportText.textContent = state.bulk.project && state.bulk.project.name ?
+    `Export project "${state.bulk.project.name}"` :
+    'Export this project';
+}
+
+/**
+ * Bulk export filter inputs, keyed by the filter name sent to the content script
+ */
+const BULK_FILTER_INPUTS = {
+  created_from: 'filterCreatedFrom',
+  created_to: 'filterCreatedTo',
+  updated_from: 'filterUpdatedFrom',
+  updated_to: 'filterUpdatedTo',
+  title_contains: 'filterTitle',
+  model: 'filterModel'
+};
+
+/**
+ * Read the bulk export filters from the popup form
+ * Empty fields and filters the platform's conversation list cannot answer are
+ * omitted; the content script validates the values.
+ * @returns {Object} Filters keyed by name
+ */
+function getBulkFilters() {
+  const filters = {};
+  const listFilters = BulkFilters.getListFilters(state.platform.id);
+
+  Object.entries(BULK_FILTER_INPUTS).forEach(([name, inputId]) => {
+    const input = document.getElementById(inputId);
+    const value = input ? input.value.trim() : '';
+    if (value && listFilters.includes(name)) {
+      filters[name] = value;
+    }
+  });
+
+  return filters;
+}
 
+/**
+ * Enable or disable the bulk export filter inputs
+ * Filters the platform's conversation list cannot answer are hidden.
+ * @param {boolean} disabled - Whether the inputs are disabled
+ */
+function setBulkFiltersDisabled(disabled) {
+  const listFilters = BulkFilters.getListFilters(state.platform.id);
+
+  Object.entries(BULK_FILTER_INPUTS).forEach(([name, inputId]) => {
+    const input = document.getElementById(inputId);
+    if (input) {
+      const available = listFilters.includes(name);
+      const label = document.querySelector(`label[for="${inputId}"]`);
+      input.disabled = disabled;
+      input.hidden = !available;
+      if (label) {
+        label.hidden = !available;
+      }
+    }
+  });
+}
+
+/**
+ * Get the progress text for a bulk export status
+ * @param {Object} status - Bulk export status
+ * @returns {string} Human-readable progress
+ */
+function getBulkProgressText(status) {
+  const failedText = status.failed ? `, ${status.failed} failed` : '';
+  const excludedText = status.excluded ? `, ${status.excluded} excluded by filters` : '';
+
+  switch (status.state) {
+    case 'listing':
+      return `Listing conversations... ${status.listed || 0} found`;
+    case 'fetching':
+      return `Fetching ${status.completed} of ${status.total}${excludedText}${failedText}`;
+    case 'exporting':
+      return `Generating ${getSelectedFormat().label} export...`;
+    case 'complete':
+      return `Exported ${status.completed} of ${status.total} conversations${excludedText}${failedText}`;
+    case 'cancelled':
+      return 'Bulk export cancelled';
+    case 'error':
+      return sanitizeErrorMessage(status.error || 'Bulk export failed');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Render bulk export progress
+ * @param {Object|null} status - Bulk export status, or null when idle
+ */
+function renderBulkStatus(status) {
+  const bulkExportBtn = document.getElementById('bulkExportBtn');
+  const projectExportBtn = document.getElementById('projectExportBtn');
+  const bulkProgress = document.getElementById('bulkProgress');
+  const bulkProgressBar = document.getElementById('bulkProgressBar');
+  const bulkProgressText = document.getElementById('bulkProgressText');
+  const bulkCancelBtn = document.getElementById('bulkCancelBtn');
+
+  state.bulk.status = status;
+
+  if (!status) {
+    bulkProgress.hidden = true;
+    bulkExportBtn.disabled = false;
+    projectExportBtn.disabled = false;
+    setBulkFiltersDisabled(false);
+    updateChecklistControls('index');
+    return;
+  }
+
+  const isRunning = BULK_RUNNING_STATES.includes(status.state);
+
+  bulkProgress.hidden = false;
+  bulkExportBtn.disabled = isRunning;
+  projectExportBtn.disabled = isRunning;
+  setBulkFiltersDisabled(isRunning);
+  updateChecklistControls('index');
+  bulkCancelBtn.hidden = !isRunning || status.state === 'exporting';
+  bulkProgressText.textContent = getBulkProgressText(status);
+
+  // Indeterminate bar while listing; otherwise fraction of conversations processed
+  if (status.state === 'listing') {
+    bulkProgressBar.removeAttribute('value');
+  } else {
+    const processed = (status.completed || 0) + (status.failed || 0) + (status.excluded || 0);
+    bulkProgressBar.value = status.total ? processed / status.total : (status.state === 'complete' ? 1 : 0);
+  }
+}
+
+/**
+ * Start a bulk export in the content script of the current tab
+ * @param {Object} options - Bulk export options besides the format
+ *   ({ filters } for the whole account, { filters, projectId } for a project,
+ *   { conversationIds } for a selection)
+ */
+async function startBulkExport(options) {
+  const tab = state.currentTab;
+  if (!tab || !state.bulk.supported) return;
+
+  if (state.bulk.status && BULK_RUNNING_STATES.includes(state.bulk.status.state)) {
+    return;
+  }
+
+  popupLogDebug('startBulkExport', 'Starting bulk export', {
+    platform: state.platform.id,
+    format: state.export.format,
+    filters: options.filters,
+    projectId: options.projectId,
+    selected: options.conversationIds ? options.conversationIds.length : null
+  });
+
+  try {
+    const response = await browser.tabs.sendMessage(tab.id, {
+      type: 'START_BULK_EXPORT',
+      platform: state.platform.id,
+      options: {
+        ...options,
+        format: state.export.format,
+        branchMode: state.export.branchMode,
+        columns: state.export.columns
+      }
+    });
+
+    if (response && response.success) {
+      renderBulkStatus(response.status);
+    } else {
+      displayError('EXPORT_FAILED', {
+        platformId: state.platform.id,
+        customDetail: sanitizeErrorMessage(response?.error || 'Bulk export could not be started.')
+      });
+    }
+  } catch (error) {
+    displayError('CONTENT_SCRIPT_NOT_LOADED', {
+      platformId: state.platform.id,
+      originalError: error
+    });
+  }
+}
+
+/**
+ * Handle "Export all conversations" click
+ */
+function handleBulkExportClick() {
+  startBulkExport({ filters: getBulkFilters() });
+}
+
+/**
+ * Handle "Export this project" click
+ * Project exports cover every conversation of the project; the bulk export
+ * filters are not applied.
+ */
+function handleProjectExportClick() {
+  if (!state.bulk.project) return;
+  startBulkExport({ projectId: state.bulk.project.id });
+}
+
+/**
+ * Handle bulk export cancel click
+ */
+async function handleBulkCancelClick() {
+  const tab = state.currentTab;
+  if (!tab) return;
+
+  try {
+    await browser.tabs.sendMessage(tab.id, {
+      type: 'CANCEL_BULK_EXPORT',
+      platform: state.platform.id
+    });
+  } catch (error) {
+    popupLogError('handleBulkCancelClick', error, { platformId: state.platform.id });
+  }
+}
+
+// ============================================================================
+// CONVERSATION CHECKLISTS
+// ============================================================================
+
+/**
+ * Selectable conversation lists rendered in the popup
+ * - captured: conversations captured in this tab, exported together in one dataset
+ * - index: sidebar list index, exported through the bulk export pipeline
+ */
+const CONVERSATION_CHECKLISTS = {
+  captured: {
+    sectionId: 'capturedConversations',
+    listId: 'capturedConversationsList',
+    countId: 'capturedConversationsCount',
+    selectAllId: 'capturedConversationsSelectAll',
+    exportBtnId: 'capturedConversationsExportBtn',
+    minItems: 2, // A single capture is exported with the main button
+    getDetail: conversation => [
+      typeof conversation.messageCount === 'number' ? `${conversation.messageCount} msgs` : '',
+      formatChecklistTime(conversation.capturedAt)
+    ].filter(Boolean).join(' · '),
+    isBusy: () => state.export.isExporting
+  },
+  index: {
+    sectionId: 'conversationIndex',
+    listId: 'conversationIndexList',
+    countId: 'conversationIndexCount',
+    selectAllId: 'conversationIndexSelectAll',
+    exportBtnId: 'conversationIndexExportBtn',
+    minItems: 1,
+    getDetail: conversation => formatChecklistDate(conversation.update_time || conversation.create_time),
+    isBusy: () => !!(state.bulk.status && BULK_RUNNING_STATES.includes(state.bulk.status.state))
+  }
+};
+
+/**
+ * Format a timestamp as a short local date
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {string} Date text, or empty string when unknown
+ */
+function formatChecklistDate(timestamp) {
+  const date = timestamp ? new Date(timestamp) : null;
+  return date && !isNaN(date.getTime()) ? date.toLocaleDateString() : '';
+}
+
+/**
+ * Format a timestamp as a short local time
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {string} Time text, or empty string when unknown
+ */
+function formatChecklistTime(timestamp) {
+  const date = timestamp ? new Date(timestamp) : null;
+  return date && !isNaN(date.getTime())
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : '';
+}
+
+/**
+ * Render a selectable conversation list
+ * Selections for conversations still in the list are kept across updates.
+ * @param {string} key - Key of CONVERSATION_CHECKLISTS
+ * @param {Array<Object>} conversations - Conversations to list, in display order
+ */
+function renderChecklist(key, conversations) {
+  const config = CONVERSATION_CHECKLISTS[key];
+  const checklist = state.checklists[key];
+  const section = document.getElementById(config.sectionId);
+  const list = document.getElementById(config.listId);
+  const count = document.getElementById(config.countId);
+  if (!section || !list || !count) return;
+
+  checklist.conversations = conversations;
+  const ids = new Set(conversations.map(conversation => conversation.id));
+  checklist.selected.forEach(id => {
+    if (!ids.has(id)) {
+      checklist.selected.delete(id);
+    }
+  });
+
+  section.hidden = conversations.length < config.minItems;
+  count.textContent = String(conversations.length);
+  list.replaceChildren();
+
+  conversations.forEach(conversation => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    const title = document.createElement('span');
+    const detail = document.createElement('span');
+
+    label.className = 'conversation-index__item';
+    checkbox.type = 'checkbox';
+    checkbox.value = conversation.id;
+    checkbox.checked = checklist.selected.has(conversation.id);
+    checkbox.addEventListener('change', event => handleChecklistToggle(key, event));
+
+    title.className = 'conversation-index__title';
+    title.textContent = conversation.title || 'Untitled Conversation';
+    title.title = title.textContent;
+
+    detail.className = 'conversation-index__date';
+    detail.textContent = config.getDetail(conversation);
+
+    label.append(checkbox, title, detail);
+    item.appendChild(label);
+    list.appendChild(item);
+  });
+
+  updateChecklistControls(key);
+}
+
+/**
+ * Sync a list's select-all checkbox, export button and disabled state with its selection
+ * @param {string} key - Key of CONVERSATION_CHECKLISTS
+ */
+function updateChecklistControls(key) {
+  const config = CONVERSATION_CHECKLISTS[key];
+  const checklist = state.checklists[key];
+  const selectAll = document.getElementById(config.selectAllId);
+  const exportBtn = document.getElementById(config.exportBtnId);
+  const list = document.getElementById(config.listId);
+  if (!selectAll || !exportBtn || !list) return;
+
+  const isBusy = config.isBusy();
+  const total = checklist.conversations.length;
+  const selected = checklist.selected.size;
+
+  selectAll.checked = total > 0 && selected === total;
+  selectAll.indeterminate = selected > 0 && selected < total;
+  selectAll.disabled = isBusy || total === 0;
+
+  list.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.disabled = isBusy;
+  });
+
+  exportBtn.disabled = isBusy || selected === 0;
+  exportBtn.querySelector('.btn__text').textContent = selected > 0
+    ? `Export selected (${selected})`
+    : 'Export selected';
+}
+
+/**
+ * Handle a conversation checkbox change
+ */
+function handleChecklistToggle(key, event) {
+  const checkbox = event.target;
+  if (checkbox.checked) {
+    state.checklists[key].selected.add(checkbox.value);
+  } else {
+    state.checklists[key].selected.delete(checkbox.value);
+  }
+  updateChecklistControls(key);
+}
+
+/**
+ * Handle select-all checkbox change
+ */
+function handleChecklistSelectAll(key, event) {
+  const checked = event.target.checked;
+  const checklist = state.checklists[key];
+
+  checklist.selected.clear();
+  if (checked) {
+    checklist.conversations.forEach(conversation => checklist.selected.add(conversation.id));
+  }
+
+  document.querySelectorAll(`#${CONVERSATION_CHECKLISTS[key].listId} input[type="checkbox"]`).forEach(checkbox => {
+    checkbox.checked = checked;
+  });
+  updateChecklistControls(key);
+}
+
+/**
+ * Get the selected conversation IDs of a list, in display order
+ * @param {string} key - Key of CONVERSATION_CHECKLISTS
+ * @returns {Array<string>} Selected IDs
+ */
+function getChecklistSelection(key) {
+  const checklist = state.checklists[key];
+  return checklist.conversations
+    .map(conversation => conversation.id)
+    .filter(id => checklist.selected.has(id));
+}
+
+/**
+ * Load the conversation index captured by the content script of the current tab
+ * The section stays hidden when the platform provides no index.
+ */
+async function updateConversationIndex() {
+  if (!state.bulk.supported || !state.currentTab) {
+    renderChecklist('index', []);
+    return;
+  }
+
+  try {
+    const response = await browser.tabs.sendMessage(state.currentTab.id, {
+      type: 'GET_CONVERSATION_INDEX'
+    });
+    const conversations = response && response.success && Array.isArray(response.conversations)
+      ? response.conversations
+      : [];
+    renderChecklist('index', conversations);
+  } catch (error) {
+    popupLogDebug('updateConversationIndex', 'Conversation index unavailable', { error: error.message });
+    renderChecklist('index', []);
+  }
+}
+
+/**
+ * Load the conversations captured by the content script of the current tab
+ * The list is shown once two or more conversations are captured.
+ * @param {Object|null} platform - Platform object or null
+ */
+async function updateCapturedConversations(platform) {
+  if (!platform || !state.currentTab) {
+    renderChecklist('captured', []);
+    return;
+  }
+
+  try {
+    const response = await browser.tabs.sendMessage(state.currentTab.id, {
+      type: 'GET_CAPTURED_CONVERSATIONS'
+    });
+    const conversations = response && response.success && Array.isArray(response.conversations)
+      ? response.conversations
+      : [];
+
+    // Most recently captured first
+    renderChecklist('captured', [...conversations].sort((a, b) =>
+      String(b.capturedAt || '').localeCompare(String(a.capturedAt || ''))
+    ));
+  } catch (error) {
+    popupLogDebug('updateCapturedConversations', 'Captured conversations unavailable', { error: error.message });
+    renderChecklist('captured', []);
+  }
+}
+
+/**
+ * Handle "Export selected" click for the sidebar index
+ * Selected conversations are fetched through the bulk export pipeline.
+ */
+function handleConversationIndexExportClick() {
+  const conversationIds = getChecklistSelection('index');
+  if (conversationIds.length === 0) return;
+  startBulkExport({ conversationIds });
+}
+
+/**
+ * Handle "Export selected" click for captured conversations
+ * The selection is merged into one dataset in the chosen format.
+ */
+function handleCapturedExportClick() {
+  const conversationIds = getChecklistSelection('captured');
+  if (conversationIds.length === 0) return;
+  handleExportClick(conversationIds);
+}
 
 // ============================================================================
 // PLATFORM DETECTION
@@ -489,7 +1377,7 @@ function updateExportButton(enabled, text = null, showSpinner = false) {
   // Check if button state has actually changed (efficient DOM updates)
   const hasStateChanged = state.export.canExport !== enabled;
   const currentText = buttonText ? buttonText.textContent : '';
-  const targetText = text || 'Export to CSV';
+  const targetText = text || getExportButtonLabel();
   const hasTextChanged = currentText !== targetText;
   const hasSpinnerChanged = buttonIcon.classList.contains('spinner') !== showSpinner;
 
@@ -557,19 +1445,41 @@ function updateExportButton(enabled, text = null, showSpinner = false) {
   }
 }
 
+/**
+ * File kind ({kind} filename token) of the file background.js names per format
+ * Formats not listed produce a 'conversation' file.
+ */
+const PREVIEW_FILE_KINDS = {
+  exchanges: 'exchanges',
+  markdown: 'transcript',
+  html: 'transcript',
+  graphml: 'graph',
+  dot: 'graph'
+};
+
 /**
  * Update file preview with filename
+ * Rendered from the filename template like the real download; CSV exports
+ * (metadata and messages files) download as a ZIP bundle.
  * @param {string} title - Conversation title
  */
 function updateFilePreview(title) {
   const filePreview = document.getElementById('filePreview');
   const fileName = document.getElementById('fileName');
 
-  // Sanitize title for filename
-  const sanitizedTitle = (title || 'conversation').replace(/[^a-z0-9\u00a0-\uffff_-]/gi, '_').trim();
-  const finalName = sanitizedTitle ? `${sanitizedTitle}.csv` : 'conversation.csv';
+  const platformId = state.platform.id;
+  const bundled = state.export.format === 'csv';
+  const finalName = renderFilename(state.export.filenameTemplate, {
+    conversations: [{ conversation_id: state.platform.conversationId, title }],
+    platform: platformId,
+    participant: state.platform.name,
+    kind: bundled ? 'export' : PREVIEW_FILE_KINDS[state.export.format] || 'conversation',
+    format: state.export.format,
+    extension: bundled ? 'zip' : getSelectedFormat().extension
+  });
 
   fileName.textContent = finalName;
+  fileName.dataset.title = title || 'conversation';
   filePreview.style.display = 'flex';
 }
 
@@ -593,6 +1503,24 @@ function hideFilePreview() {
  */
 function setupEventDrivenUpdates() {
   browser.runtime.onMessage.addListener((message, sender) => {
+    // Bulk export progress from the content script of the current tab
+    if (message.type === 'BULK_EXPORT_PROGRESS') {
+      if (sender && sender.id === browser.runtime.id && sender.tab && state.currentTab &&
+        sender.tab.id === state.currentTab.id) {
+        renderBulkStatus(message.status);
+      }
+      return;
+    }
+
+    // Sidebar list captured by the content script of the current tab
+    if (message.type === 'CONVERSATION_INDEX_UPDATED') {
+      if (sender && sender.id === browser.runtime.id && sender.tab && state.currentTab &&
+        sender.tab.id === state.currentTab.id) {
+        updateConversationIndex();
+      }
+      return;
+    }
+
     // Only process CONVERSATION_READY messages
     if (message.type !== 'CONVERSATION_READY') {
       return;
@@ -766,6 +1694,13 @@ async function checkAndUpdateUI() {
     state.platform.id = platform ? platform.id : null;
     state.platform.name = platform ? platform.name : null;
 
+    // Show bulk export for platforms that support it (independent of the open conversation)
+    updateBulkExportSection(platform);
+    updateBranchOptions(platform);
+
+    // List every captured conversation for multi-select export
+    updateCapturedConversations(platform);
+
     if (!platform) {
       displayError('UNSUPPORTED_PLATFORM');
       return;
@@ -795,7 +1730,7 @@ async function checkAndUpdateUI() {
           updateStatus(
             'success',
             `Ready to export ${platform.name} conversation.`,
-            'Click the button below to download as CSV.'
+            `Click the button below to download as ${getSelectedFormat().label}.`
           );
           updateExportButton(true);
           updateFilePreview(title || 'conversation');
@@ -844,7 +1779,7 @@ async function checkAndUpdateUI() {
       updateStatus(
         'success',
         `Ready to export ${platform.name} conversation.`,
-        'Click the button below to download as CSV.'
+        `Click the button below to download as ${getSelectedFormat().label}.`
       );
       updateExportButton(true);
       updateFilePreview('conversation');
@@ -864,8 +1799,10 @@ async function checkAndUpdateUI() {
 
 /**
  * Handle export button click with rate limiting
+ * @param {Array<string>|null} [conversationIds] - Captured conversations to merge into
+ *   one export (from the captured conversations list); defaults to the open conversation
  */
-async function handleExportClick() {
+async function handleExportClick(conversationIds = null) {
   const now = Date.now();
 
   // Rate limiting check 1: Minimum interval between exports
@@ -920,7 +1857,11 @@ async function handleExportClick() {
 
   // Show loading state with spinner in button
   updateExportButton(false, 'Exporting...', true);
-  updateStatus('loading', 'Exporting conversation...', 'Please wait.');
+  updateStatus(
+    'loading',
+    conversationIds ? `Exporting ${conversationIds.length} conversations...` : 'Exporting conversation...',
+    'Please wait.'
+  );
 
   try {
     const tab = state.currentTab;
@@ -937,12 +1878,19 @@ async function handleExportClick() {
 
     // Build export message
     const exportMessage = {
-      type: 'EXPORT_CONVERSATION',
-      platform: platform.id
+      type: conversationIds ? 'EXPORT_CAPTURED_CONVERSATIONS' : 'EXPORT_CONVERSATION',
+      platform: platform.id,
+      options: {
+        format: state.export.format,
+        branchMode: state.export.branchMode,
+        columns: state.export.columns
+      }
     };
 
-    // Add conversation ID if required
-    if (platform.requiresConversationId) {
+    // Add the selected conversations, or the open conversation's ID if required
+    if (conversationIds) {
+      exportMessage.conversationIds = conversationIds;
+    } else if (platform.requiresConversationId) {
       const conversationId = state.platform.conversationId;
 
       if (!conversationId) {
@@ -954,7 +1902,9 @@ async function handleExportClick() {
 
     popupLogDebug('handleExportClick', 'Starting export', {
       platform: platform.id,
+      format: state.export.format,
       hasConversationId: !!exportMessage.conversationId,
+      selected: conversationIds ? conversationIds.length : null,
       tabId: tab.id
     });
 
@@ -966,7 +1916,7 @@ async function handleExportClick() {
       // Content script communication error
       popupLogError('handleExportClick', messageError, {
         platform: platform.id,
-        messageType: 'EXPORT_CONVERSATION'
+        messageType: exportMessage.type
       });
 
       // Determine specific error type
@@ -993,7 +1943,7 @@ async function handleExportClick() {
       );
 
       // Reset button to normal state (no spinner)
-      updateExportButton(false, 'Export to CSV', false);
+      updateExportButton(false, getExportButtonLabel(), false);
 
       // Auto-close after 2 seconds
       setTimeout(() => {
@@ -1025,7 +1975,7 @@ async function handleExportClick() {
     state.export.isExporting = false;
 
     // Reset button to normal state (remove spinner)
-    updateExportButton(true, 'Export to CSV', false);
+    updateExportButton(true, getExportButtonLabel(), false);
 
     // Handle specific error types
     if (errorMessage === 'NO_ACTIVE_TAB') {
@@ -1223,7 +2173,30 @@ async function init() {
 
   // Set up event listeners
   const exportBtn = document.getElementById('exportBtn');
-  exportBtn.addEventListener('click', handleExportClick);
+  exportBtn.addEventListener('click', () => handleExportClick());
+
+  // Populate export format, branch mode and column choices, then restore preferences
+  setupFormatSelect();
+  setupBranchModeSelect();
+  setupColumnChooser();
+  applyPreferences(await Preferences.load());
+  Preferences.onChanged(applyPreferences);
+
+  document.getElementById('openOptionsBtn').addEventListener('click', () => {
+    browser.runtime.openOptionsPage();
+  });
+
+  // Bulk export controls
+  document.getElementById('bulkExportBtn').addEventListener('click', handleBulkExportClick);
+  document.getElementById('projectExportBtn').addEventListener('click', handleProjectExportClick);
+  document.getElementById('bulkCancelBtn').addEventListener('click', handleBulkCancelClick);
+
+  // Conversation list controls
+  Object.entries(CONVERSATION_CHECKLISTS).forEach(([key, config]) => {
+    document.getElementById(config.selectAllId).addEventListener('change', event => handleChecklistSelectAll(key, event));
+  });
+  document.getElementById('capturedConversationsExportBtn').addEventListener('click', handleCapturedExportClick);
+  document.getElementById('conversationIndexExportBtn').addEventListener('click', handleConversationIndexExportClick);
 
   // Set up keyboard navigation
   document.addEventListener('keydown', handleKeyboardNavigation);
@@ -0,0 +1,177 @@
+/**
+ * Bulk Export Filters Module
+ *
+ * Decides which conversations a bulk export may collect. Filters are checked
+ * against the conversation list metadata BEFORE anything is fetched, so
+ * conversations outside a study window are never requested.
+ *
+ * Supported filters (all optional, combined with AND):
+ * - created_from / created_to: creation date range (YYYY-MM-DD, inclusive, local time)
+ * - updated_from / updated_to: last-update date range (YYYY-MM-DD, inclusive, local time)
+ * - title_contains: case-insensitive keyword match on the title
+ * - model: model slug (case-insensitive exact match)
+ *
+ * Only filters the platform's conversation list can answer are offered
+ * (getListFilters): ChatGPT lists carry no model. A conversation whose list
+ * entry lacks a needed field is undecided and is excluded without being fetched.
+ */
+
+(function (global) {
+  'use strict';
+
+  const DATE_FILTERS = ['created_from', 'created_to', 'updated_from', 'updated_to'];
+  const MAX_KEYWORD_LENGTH = 200;
+
+  /**
+   * Filters each platform's conversation list can answer, keyed by platform ID
+   */
+  const LIST_FILTERS = {
+    chatgpt: [...DATE_FILTERS, 'title_contains'],
+    claude: [...DATE_FILTERS, 'title_contains', 'model']
+  };
+
+  /**
+   * Parse a YYYY-MM-DD date as local midnight
+   * @returns {number|null} Milliseconds since epoch, or null when invalid
+   */
+  function parseDate(value) {
+    if (typeof value !== 'string') return null;
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+    if (!match) return null;
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (date.getMonth() !== Number(match[2]) - 1) return null;
+    return date.getTime();
+  }
+
+  /**
+   * Convert a platform timestamp (ISO string or epoch seconds/ms) to milliseconds
+   * @returns {number|null} Milliseconds since epoch, or null when missing
+   */
+  function toTime(value) {
+    if (typeof value === 'number' && isFinite(value)) {
+      // Values below 1e11 are unix seconds (covers dates up to year 5138)
+      return value < 1e11 ? value * 1000 : value;
+    }
+    if (typeof value === 'string' && value) {
+      const time = Date.parse(value);
+      return isNaN(time) ? null : time;
+    }
+    return null;
+  }
+
+  /**
+   * Validate raw filter input from the popup
+   * Unknown keys, empty values and malformed dates are dropped.
+   * @param {Object} raw - Filter values
+   * @returns {Object|null} Clean filters, or null when none are active
+   */
+  function normalizeFilters(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const filters = {};
+
+    DATE_FILTERS.forEach(key => {
+      if (parseDate(raw[key]) !== null) {
+        filters[key] = raw[key].trim();
+      }
+    });
+
+    if (typeof raw.title_contains === 'string' && raw.title_contains.trim()) {
+      filters.title_contains = raw.title_contains.trim().substring(0, MAX_KEYWORD_LENGTH);
+    }
+
+    if (typeof raw.model === 'string' && raw.model.trim()) {
+      filters.model = raw.model.trim().substring(0, MAX_KEYWORD_LENGTH);
+    }
+
+    return Object.keys(filters).length > 0 ? filters : null;
+  }
+
+  /**
+   * Get the filters a platform's conversation list can answer
+   * @param {string} platform - Platform ID
+   * @returns {Array<string>} Filter names; empty for unknown platforms
+   */
+  function getListFilters(platform) {
+    return (LIST_FILTERS[platform] || []).slice();
+  }
+
+  /**
+   * Find active filters the platform's conversation list cannot answer
+   * @param {Object|null} filters - Output of normalizeFilters
+   * @param {string} platform - Platform ID
+   * @returns {Array<string>} Filter names that would need a full fetch
+   */
+  function findUnlistedFilters(filters, platform) {
+    const listFilters = getListFilters(platform);
+    return Object.keys(filters || {}).filter(key => !listFilters.includes(key));
+  }
+
+  /**
+   * Check a time against an inclusive local date range
+   * @returns {boolean|null} null when the time is unknown
+   */
+  function matchDateRange(time, from, to) {
+    const start = parseDate(from);
+    const end = parseDate(to);
+    if (start === null && end === null) return true;
+    if (time === null) return null;
+
+    if (start !== null && time < start) return false;
+    // End date is inclusive: compare against the following midnight
+    if (end !== null && time >= end + 86400000) return false;
+    return true;
+  }
+
+  /**
+   * Evaluate filters against a conversation summary
+   * @param {Object|null} filters - Output of normalizeFilters
+   * @param {Object} summary - { title, createdAt, updatedAt, model };
+   *   leave a field undefined when the source does not provide it
+   * @returns {boolean|null} true/false when decided, null when a needed field is unknown
+   */
+  function evaluate(filters, summary) {
+    if (!filters) return true;
+
+    const checks = [
+      matchDateRange(toTime(summary.createdAt), filters.created_from, filters.created_to),
+      matchDateRange(toTime(summary.updatedAt), filters.updated_from, filters.updated_to)
+    ];
+
+    if (filters.title_contains) {
+      checks.push(typeof summary.title === 'string'
+        ? summary.title.toLowerCase().includes(filters.title_contains.toLowerCase())
+        : null);
+    }
+
+    if (filters.model) {
+      checks.push(typeof summary.model === 'string' && summary.model
+        ? summary.model.toLowerCase() === filters.model.toLowerCase()
+        : null);
+    }
+
+    if (checks.includes(false)) return false;
+    if (checks.includes(null)) return null;
+    return true;
+  }
+
+  const BulkFilters = {
+    normalizeFilters,
+    evaluate,
+    getListFilters,
+    findUnlistedFilters,
+    toTime
+  };
+
+  // Export for CommonJS (Node/testing)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BulkFilters;
+  }
+
+  // Export for Browser (Global)
+  if (typeof window !== 'undefined') {
+    window.BulkFilters = BulkFilters;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
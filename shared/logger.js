@@ -9,7 +9,7 @@
  */
 
 // Configuration
-const DEBUG_MODE = false; // Set to true for development, false for production
+let debugMode = false; // Set from the debug preference (shared/preferences.js)
 
 // Log levels
 const LogLevel = {
@@ -90,6 +90,14 @@ function redactSensitiveData(data) {
   return redacted;
 }
 
+/**
+ * Enable or disable debug logging
+ * @param {boolean} enabled - Whether debug messages are shown
+ */
+function setDebugMode(enabled) {
+  debugMode = !!enabled;
+}
+
 /**
  * Log debug message (only in debug mode)
  * @param {string} platform - Platform name
@@ -97,7 +105,7 @@ function redactSensitiveData(data) {
  * @param {any} data - Optional data to log
  */
 function logDebug(platform, message, data = null) {
-  if (!DEBUG_MODE) return;
+  if (!debugMode) return;
 
   if (data) {
     const redacted = redactSensitiveData(data);
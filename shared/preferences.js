@@ -0,0 +1,234 @@
+/**
+ * User Preferences Module
+ *
+ * Stores the user's export preferences in browser.storage.local (one object
+ * under the `preferences` key) and notifies every extension context when they
+ * change. Loaded as a classic script so content scripts, the popup, the
+ * options page and the background script share the same defaults and checks.
+ *
+ * Preferences:
+ * - format / branchMode: export format and branch mode (keys of EXTENSION_CONFIG)
+ * - columns / columnPreset / savedColumnPresets: message column selection (see popup)
+ * - csvDelimiter / csvLineEnding / csvQuoting / csvIncludeBOM: CSV dialect
+ * - csvFormulaProtection: how CSV values that spreadsheets could run as
+ *   formulas are written ('quote', 'formulas' or 'off', see utils/csv.js)
+ * - timestampFormat: how CSV timestamps are written ('iso', 'local' or 'unix')
+ * - filenameTemplate: names of downloaded files (tokens in utils/filename.js)
+ * - mergeThinking: include Claude's extended thinking in the message text
+ * - keepCapturedConversations: keep recently opened conversations in the tab,
+ *   not just the open one (privacy)
+ * - includeAttachmentContent: export the extracted text of attachments (privacy)
+ * - debug: verbose logging in the popup and content scripts
+ *
+ * Format, branch mode and columns are validated by their consumers, which
+ * know the configured values; everything else is validated here.
+ */
+
+(function (global) {
+  'use strict';
+
+  const STORAGE_KEY = 'preferences';
+
+  const CSV_DELIMITERS = {
+    ',': 'Comma',
+    ';': 'Semicolon',
+    '\t': 'Tab'
+  };
+
+  const CSV_LINE_ENDINGS = {
+    lf: 'LF (Unix, macOS)',
+    crlf: 'CRLF (RFC 4180, Windows)'
+  };
+
+  const CSV_QUOTING = {
+    minimal: 'Only when needed',
+    all: 'Every field'
+  };
+
+  const CSV_FORMULA_PROTECTION = {
+    quote: 'Prefix with a quote (values starting with = + - @)',
+    formulas: 'Prefix only values that look like formulas',
+    off: 'Off (raw text, for analysis pipelines)'
+  };
+
+  const TIMESTAMP_FORMATS = {
+    iso: 'ISO 8601, UTC (2025-01-31T14:05:00.000Z)',
+    local: 'Local time (2025-01-31 15:05:00)',
+    unix: 'Unix seconds (1738332300)'
+  };
+
+  const MAX_KEY_LENGTH = 40;
+  const MAX_TEMPLATE_LENGTH = 200;
+  const MAX_SAVED_PRESETS = 50;
+
+  const DEFAULTS = Object.freeze({
+    format: 'csv',
+    branchMode: 'all',
+    columns: null, // null selects every message column
+    columnPreset: 'full',
+    savedColumnPresets: {},
+    csvDelimiter: ',',
+    csvLineEnding: 'lf',
+    csvQuoting: 'minimal',
+    csvFormulaProtection: 'quote',
+    csvIncludeBOM: true,
+    timestampFormat: 'iso',
+    filenameTemplate: '{platform}_{kind}_{id8}_{date}_{time}',
+    mergeThinking: false,
+    keepCapturedConversations: true,
+    includeAttachmentContent: true,
+    debug: false
+  });
+
+  /**
+   * Check for a short identifier-like string (format, mode or preset key)
+   */
+  function isKey(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_KEY_LENGTH;
+  }
+
+  /**
+   * Keep the string entries of a column list
+   * @returns {Array<string>|null} Column names, or null when not a list
+   */
+  function normalizeColumns(value) {
+    if (!Array.isArray(value)) return null;
+    return value.filter(column => isKey(column));
+  }
+
+  /**
+   * Validate stored preferences and fill in defaults
+   * @param {Object} raw - Stored preferences (possibly partial or from an older version)
+   * @returns {Object} Complete preferences
+   */
+  function normalize(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const preferences = { ...DEFAULTS, savedColumnPresets: {} };
+
+    if (isKey(source.format)) preferences.format = source.format;
+    if (isKey(source.branchMode)) preferences.branchMode = source.branchMode;
+    if (isKey(source.columnPreset)) preferences.columnPreset = source.columnPreset;
+
+    const columns = normalizeColumns(source.columns);
+    if (columns && columns.length > 0) preferences.columns = columns;
+
+    if (source.savedColumnPresets && typeof source.savedColumnPresets === 'object') {
+      Object.entries(source.savedColumnPresets)
+        .slice(0, MAX_SAVED_PRESETS)
+        .forEach(([name, presetColumns]) => {
+          const valid = normalizeColumns(presetColumns);
+          if (isKey(name) && valid && valid.length > 0) {
+            preferences.savedColumnPresets[name] = valid;
+          }
+        });
+    }
+
+    if (Object.prototype.hasOwnProperty.call(CSV_DELIMITERS, source.csvDelimiter)) {
+      preferences.csvDelimiter = source.csvDelimiter;
+    }
+    if (Object.prototype.hasOwnProperty.call(CSV_LINE_ENDINGS, source.csvLineEnding)) {
+      preferences.csvLineEnding = source.csvLineEnding;
+    }
+    if (Object.prototype.hasOwnProperty.call(CSV_QUOTING, source.csvQuoting)) {
+      preferences.csvQuoting = source.csvQuoting;
+    }
+    if (Object.prototype.hasOwnProperty.call(CSV_FORMULA_PROTECTION, source.csvFormulaProtection)) {
+      preferences.csvFormulaProtection = source.csvFormulaProtection;
+    }
+    if (Object.prototype.hasOwnProperty.call(TIMESTAMP_FORMATS, source.timestampFormat)) {
+      preferences.timestampFormat = source.timestampFormat;
+    }
+
+    if (typeof source.filenameTemplate === 'string') {
+      const template = source.filenameTemplate.trim();
+      if (template.length > 0 && template.length <= MAX_TEMPLATE_LENGTH) {
+        preferences.filenameTemplate = template;
+      }
+    }
+
+    ['csvIncludeBOM', 'mergeThinking', 'keepCapturedConversations', 'includeAttachmentContent', 'debug'].forEach(key => {
+      if (typeof source[key] === 'boolean') preferences[key] = source[key];
+    });
+
+    return preferences;
+  }
+
+  /**
+   * Read the preferences from extension storage
+   * Falls back to the defaults when storage is unavailable.
+   * @returns {Promise<Object>} Complete preferences
+   */
+  async function load() {
+    try {
+      const stored = await browser.storage.local.get(STORAGE_KEY);
+      return normalize(stored[STORAGE_KEY]);
+    } catch (error) {
+      console.warn('[Preferences] Could not read preferences, using defaults:', error.message);
+      return normalize(null);
+    }
+  }
+
+  // Saves run one at a time so quick successive changes are not lost
+  let pendingSave = Promise.resolve();
+
+  /**
+   * Merge changes into the stored preferences
+   * @param {Object} changes - Preferences to update
+   * @returns {Promise<Object>} Complete preferences after the update
+   */
+  function save(changes) {
+    const saving = pendingSave.then(async () => {
+      const preferences = normalize({ ...(await load()), ...changes });
+      await browser.storage.local.set({ [STORAGE_KEY]: preferences });
+      return preferences;
+    });
+    pendingSave = saving.catch(() => {});
+    return saving;
+  }
+
+  /**
+   * Restore the defaults
+   * @returns {Promise<Object>} Default preferences
+   */
+  async function reset() {
+    await browser.storage.local.remove(STORAGE_KEY);
+    return normalize(null);
+  }
+
+  /**
+   * Call back whenever the preferences change in any extension context
+   * @param {Function} callback - Receives the complete new preferences
+   */
+  function onChanged(callback) {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEY]) {
+        callback(normalize(changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  const Preferences = {
+    DEFAULTS,
+    CSV_DELIMITERS,
+    CSV_LINE_ENDINGS,
+    CSV_QUOTING,
+    CSV_FORMULA_PROTECTION,
+    TIMESTAMP_FORMATS,
+    normalize,
+    load,
+    save,
+    reset,
+    onChanged
+  };
+
+  // Export for CommonJS (Node/testing)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Preferences;
+  }
+
+  // Export for Browser (Global)
+  if (typeof window !== 'undefined') {
+    window.Preferences = Preferences;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
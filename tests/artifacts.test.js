@@ -0,0 +1,98 @@
+/**
+ * Tests for artifact extraction (utils/artifacts.js): versions along the message tree
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractArtifactVersions, collectArtifacts } from '../utils/artifacts.js';
+import { createConversation, createMessage, createContentBlock } from '../utils/schema.js';
+
+function artifactCall(id, input) {
+  return createContentBlock({ type: 'tool_use', tool_name: 'artifacts', tool_use_id: id, input });
+}
+
+/**
+ * An artifact created, updated, then updated differently on a regenerated answer:
+ *   u1 ── a1 (create) ── u2 ─┬─ a2 (update hi → bye)
+ *                            └─ a2b (update hi → hello, then a failing update)
+ */
+function artifactConversation() {
+  return createConversation({
+    platform: 'claude',
+    conversation_id: 'conv-1',
+    messages: [
+      createMessage({ message_id: 'u1', role: 'user' }),
+      createMessage({
+        message_id: 'a1',
+        parent_id: 'u1',
+        role: 'assistant',
+        blocks: [artifactCall('t1', {
+          id: 'my-app', command: 'create', type: 'application/vnd.ant.react', title: 'App', content: 'say hi'
+        })]
+      }),
+      createMessage({ message_id: 'u2', parent_id: 'a1', role: 'user' }),
+      createMessage({
+        message_id: 'a2',
+        parent_id: 'u2',
+        role: 'assistant',
+        blocks: [artifactCall('t2', { id: 'my-app', command: 'update', old_str: 'hi', new_str: 'bye $&' })]
+      }),
+      createMessage({
+        message_id: 'a2b',
+        parent_id: 'u2',
+        role: 'assistant',
+        blocks: [
+          artifactCall('t3', { id: 'my-app', command: 'update', old_str: 'hi', new_str: 'hello' }),
+          artifactCall('t4', { id: 'my-app', command: 'update', old_str: 'missing', new_str: 'x' }),
+          createContentBlock({ type: 'tool_use', tool_name: 'web_search', input: { id: 'not-an-artifact' } })
+        ]
+      })
+    ]
+  });
+}
+
+test('extractArtifactVersions rebuilds each version from its branch', () => {
+  const versions = extractArtifactVersions(artifactConversation());
+
+  assert.deepEqual(versions.map(version => version.content), ['say hi', 'say bye $&', 'say hello', 'say hello']);
+  assert.deepEqual(versions.map(version => version.version), [1, 2, 3, 4]);
+  assert.deepEqual(versions.map(version => version.previous_version), ['', 1, 1, 3]);
+  assert.deepEqual(versions.map(version => version.content_status), ['full', 'updated', 'updated', 'update_failed']);
+  assert.ok(versions.every(version => version.type === 'application/vnd.ant.react' && version.title === 'App'));
+});
+
+test('collectArtifacts names one file per version and links it in the table', () => {
+  const { rows, files } = collectArtifacts([artifactConversation()]);
+
+  assert.deepEqual(files.map(file => file.path), [
+    'artifacts/my-app_v1.tsx',
+    'artifacts/my-app_v2.tsx',
+    'artifacts/my-app_v3.tsx',
+    'artifacts/my-app_v4.tsx'
+  ]);
+  assert.deepEqual(rows.map(row => row.file_name), files.map(file => file.path));
+  assert.deepEqual(rows.map(row => row.message_id), ['a1', 'a2', 'a2b', 'a2b']);
+  assert.equal(rows[1].tool_use_id, 't2');
+});
+
+test('collectArtifacts uses a subfolder per conversation and picks extensions by language', () => {
+  const code = createConversation({
+    platform: 'claude',
+    conversation_id: 'conv/2',
+    messages: [createMessage({
+      message_id: 'm1',
+      role: 'assistant',
+      blocks: [artifactCall('t1', { id: 'script', command: 'create', language: 'Python', content: 'print(1)' })]
+    })]
+  });
+
+  const { files } = collectArtifacts([artifactConversation(), code]);
+  assert.equal(files[0].path, 'artifacts/conv-1/my-app_v1.tsx');
+  assert.equal(files.at(-1).path, 'artifacts/conv_2/script_v1.py');
+});
+
+test('collectArtifacts returns nothing without artifact calls', () => {
+  const conversation = createConversation({ messages: [createMessage({ message_id: 'm1', text: 'hi' })] });
+  assert.deepEqual(collectArtifacts([conversation]), { rows: [], files: [] });
+});
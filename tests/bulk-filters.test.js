@@ -0,0 +1,72 @@
+/**
+ * Tests for the bulk export filters (shared/bulk-filters.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// Classic script shared with the content scripts: run it with a CommonJS-style module object
+function loadBulkFilters() {
+  const source = readFileSync(new URL('../shared/bulk-filters.js', import.meta.url), 'utf8');
+  const module = { exports: {} };
+  vm.runInNewContext(source, { module });
+  return module.exports;
+}
+
+const BulkFilters = loadBulkFilters();
+
+test('normalizeFilters drops empty, unknown and malformed values', () => {
+  const filters = BulkFilters.normalizeFilters({
+    created_from: '2024-01-01',
+    created_to: '2024-02-30',
+    title_contains: '  interview ',
+    model: '',
+    unknown: 'x'
+  });
+  assert.deepEqual({ ...filters }, { created_from: '2024-01-01', title_contains: 'interview' });
+  assert.equal(BulkFilters.normalizeFilters({ title_contains: ' ' }), null);
+  assert.equal(BulkFilters.normalizeFilters(null), null);
+});
+
+test('evaluate matches inclusive local date ranges', () => {
+  const filters = { created_from: '2024-03-01', created_to: '2024-03-31' };
+  const at = (day, hour) => new Date(2024, 2, day, hour).getTime();
+
+  assert.equal(BulkFilters.evaluate(filters, { createdAt: at(1, 0) }), true);
+  assert.equal(BulkFilters.evaluate(filters, { createdAt: at(31, 23) }), true);
+  assert.equal(BulkFilters.evaluate(filters, { createdAt: new Date(2024, 3, 1).getTime() }), false);
+  assert.equal(BulkFilters.evaluate(filters, { createdAt: new Date(2024, 1, 29, 23).toISOString() }), false);
+});
+
+test('evaluate combines filters and stays undecided on missing fields', () => {
+  const filters = { title_contains: 'Study', model: 'claude-3-opus' };
+
+  assert.equal(BulkFilters.evaluate(filters, { title: 'my study notes', model: 'Claude-3-Opus' }), true);
+  assert.equal(BulkFilters.evaluate(filters, { title: 'other', model: 'claude-3-opus' }), false);
+  assert.equal(BulkFilters.evaluate(filters, { title: 'study' }), null);
+  assert.equal(BulkFilters.evaluate(null, {}), true);
+});
+
+test('toTime reads epoch seconds, milliseconds and ISO strings', () => {
+  const time = Date.UTC(2024, 0, 15, 12);
+  assert.equal(BulkFilters.toTime(time / 1000), time);
+  assert.equal(BulkFilters.toTime(time), time);
+  // Milliseconds before 2001 are below 1e12 but still read as milliseconds
+  assert.equal(BulkFilters.toTime(Date.UTC(1999, 0, 1)), Date.UTC(1999, 0, 1));
+  assert.equal(BulkFilters.toTime('2024-01-15T12:00:00Z'), time);
+  assert.equal(BulkFilters.toTime(''), null);
+});
+
+test('only filters the conversation list can answer are available', () => {
+  assert.deepEqual([...BulkFilters.getListFilters('chatgpt')].sort(),
+    ['created_from', 'created_to', 'title_contains', 'updated_from', 'updated_to']);
+  assert.ok(BulkFilters.getListFilters('claude').includes('model'));
+  assert.deepEqual([...BulkFilters.getListFilters('unknown')], []);
+
+  const filters = { created_from: '2024-01-01', model: 'gpt-4o' };
+  assert.deepEqual([...BulkFilters.findUnlistedFilters(filters, 'chatgpt')], ['model']);
+  assert.deepEqual([...BulkFilters.findUnlistedFilters(filters, 'claude')], []);
+  assert.deepEqual([...BulkFilters.findUnlistedFilters(null, 'chatgpt')], []);
+});
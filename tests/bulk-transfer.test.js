@@ -0,0 +1,71 @@
+/**
+ * Tests for bulk export batches (utils/bulk-transfer.js): assembly and the size limit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBulkTransferStore, measurePayloads, getBulkSizeError } from '../utils/bulk-transfer.js';
+
+const conversation = id => ({ uuid: id, chat_messages: [{ text: 'x'.repeat(80) }] });
+const SIZE = measurePayloads([conversation('c1')]);
+
+test('receiveBatch assembles batches under their export ID', () => {
+  const store = createBulkTransferStore();
+
+  assert.deepEqual(store.receiveBatch({ platform: 'claude', exportId: 'e-1', payloads: [conversation('c1')] }),
+    { success: true, received: 1 });
+  assert.deepEqual(store.receiveBatch({ platform: 'claude', exportId: 'e-1', payloads: [conversation('c2')] }),
+    { success: true, received: 2 });
+
+  assert.deepEqual(store.take('e-1', 'claude').map(payload => payload.uuid), ['c1', 'c2']);
+  assert.equal(store.take('e-1', 'claude'), null);
+});
+
+test('receiveBatch refuses the batch over the size limit and drops the transfer', () => {
+  const store = createBulkTransferStore({ maxSize: SIZE * 2 });
+
+  assert.equal(store.receiveBatch({ platform: 'claude', exportId: 'e-1', payloads: [conversation('c1')] }).success, true);
+  const refused = store.receiveBatch({ platform: 'claude', exportId: 'e-1', payloads: [conversation('c2'), conversation('c3')] });
+
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /^Bulk export too large/);
+  assert.equal(store.take('e-1', 'claude'), null);
+});
+
+test('receiveBatch rejects invalid IDs, missing payloads and other platforms', () => {
+  const store = createBulkTransferStore();
+  store.receiveBatch({ platform: 'claude', exportId: 'e-1', payloads: [] });
+
+  assert.equal(store.receiveBatch({ platform: 'claude', exportId: 'bad id', payloads: [] }).success, false);
+  assert.equal(store.receiveBatch({ platform: 'claude', exportId: 'e-2' }).success, false);
+  assert.equal(store.receiveBatch({ platform: 'chatgpt', exportId: 'e-1', payloads: [] }).success, false);
+  assert.equal(store.take('e-1', 'chatgpt'), null);
+  assert.deepEqual(store.take('e-1', 'claude'), []);
+});
+
+test('idle transfers are dropped and discard removes a transfer', () => {
+  let time = 0;
+  const store = createBulkTransferStore({ timeoutMs: 1000, now: () => time });
+
+  store.receiveBatch({ platform: 'claude', exportId: 'old', payloads: [conversation('c1')] });
+  store.receiveBatch({ platform: 'claude', exportId: 'gone', payloads: [conversation('c2')] });
+  store.discard('gone', 'claude');
+  time = 2000;
+  store.receiveBatch({ platform: 'claude', exportId: 'new', payloads: [] });
+
+  assert.equal(store.take('old', 'claude'), null);
+  assert.equal(store.take('gone', 'claude'), null);
+  assert.deepEqual(store.take('new', 'claude'), []);
+});
+
+test('measurePayloads and getBulkSizeError report sizes in MB', () => {
+  const circular = {};
+  circular.self = circular;
+
+  assert.equal(measurePayloads([{ a: 1 }, 'x']), 10);
+  assert.equal(measurePayloads([circular]), Infinity);
+  assert.equal(getBulkSizeError(1.5 * 1024 * 1024, 1024 * 1024),
+    'Bulk export too large: 1.5MB (max: 1MB). Use filters to export fewer conversations.');
+  assert.match(getBulkSizeError(Infinity), /unknown size \(max: 200MB\)/);
+});
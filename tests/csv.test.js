@@ -0,0 +1,64 @@
+/**
+ * Tests for the CSV writer (utils/csv.js): dialect options and formula protection
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeCSVField, generateCSV, createCSVBlob } from '../utils/csv.js';
+
+const ROWS = [
+  { id: 1, text: 'plain' },
+  { id: 2, text: 'with, comma' }
+];
+
+test('generateCSV defaults to comma, LF and minimal quoting', () => {
+  assert.equal(generateCSV(ROWS), 'id,text\n1,plain\n2,"with, comma"');
+});
+
+test('generateCSV applies the delimiter, CRLF and quote-all dialect', () => {
+  const csv = generateCSV(ROWS, ['text', 'id'], { delimiter: ';', lineEnding: 'crlf', quoting: 'all' });
+  assert.equal(csv, '"text";"id"\r\n"plain";"1"\r\n"with, comma";"2"');
+});
+
+test('generateCSV returns an empty string without rows', () => {
+  assert.equal(generateCSV([]), '');
+  assert.equal(generateCSV(null), '');
+});
+
+test('escapeCSVField doubles quotes and quotes line breaks', () => {
+  assert.equal(escapeCSVField('say "hi"'), '"say ""hi"""');
+  assert.equal(escapeCSVField('two\nlines'), '"two\nlines"');
+  assert.equal(escapeCSVField(null), '');
+  assert.equal(escapeCSVField(undefined, { quoting: 'all' }), '""');
+});
+
+test('quote protection prefixes every value starting with a formula character', () => {
+  for (const value of ['=1+1', '+A1', '-5', '@SUM(A1)', '\tx', '\n=cmd()']) {
+    assert.ok(escapeCSVField(value).replace(/^"/, '').startsWith("'"), JSON.stringify(value));
+  }
+  assert.equal(escapeCSVField('plain text'), 'plain text');
+});
+
+test('formulas protection prefixes only values that look like formulas', () => {
+  const dialect = { formulaProtection: 'formulas' };
+  const formulas = ['=HYPERLINK("x")', '-2+3', '+A1', '@SUM(A1:A2)', '\n=cmd()', '\t=1'];
+  const text = ['-5', '-12%', '+1.5', '- item', '---', '@name', '=', 'plain'];
+
+  for (const value of formulas) {
+    assert.ok(escapeCSVField(value, dialect).replace(/^"/, '').startsWith("'"), JSON.stringify(value));
+  }
+  for (const value of text) {
+    assert.ok(!escapeCSVField(value, dialect).replace(/^"/, '').startsWith("'"), JSON.stringify(value));
+  }
+});
+
+test('off protection writes text unaltered', () => {
+  assert.equal(escapeCSVField('=1+1', { formulaProtection: 'off' }), '=1+1');
+});
+
+test('createCSVBlob adds the byte order mark unless turned off', async () => {
+  const bytes = async blob => [...new Uint8Array(await blob.arrayBuffer())];
+  assert.deepEqual(await bytes(createCSVBlob('a', true)), [0xef, 0xbb, 0xbf, 0x61]);
+  assert.deepEqual(await bytes(createCSVBlob('a', false)), [0x61]);
+});
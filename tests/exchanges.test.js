@@ -0,0 +1,81 @@
+/**
+ * Tests for the exchange layout (utils/exchanges.js): pairing prompts with their responses
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { conversationToExchangeRows, EXCHANGE_COLUMNS } from '../utils/exchanges.js';
+import { annotateMessageTree } from '../utils/tree.js';
+import { createConversation, createMessage } from '../utils/schema.js';
+
+function exchangeConversation(messages) {
+  return createConversation({ platform: 'chatgpt', conversation_id: 'conv-1', title: 'Pairs', messages });
+}
+
+test('conversationToExchangeRows pairs each prompt with the answers before the next prompt', () => {
+  const rows = conversationToExchangeRows(exchangeConversation([
+    createMessage({ message_id: 's1', role: 'system', text: 'You are helpful' }),
+    createMessage({ message_id: 'u1', role: 'user', text: 'Search this', created_at: '2024-01-01T10:00:00Z' }),
+    createMessage({ message_id: 'r1', role: 'assistant', content_type: 'thoughts', text: 'Thinking' }),
+    createMessage({ message_id: 'c1', role: 'assistant', content_type: 'code', text: 'search("x")', tool_name: 'web' }),
+    createMessage({ message_id: 't1', role: 'tool', text: 'results', tool_name: 'web' }),
+    createMessage({
+      message_id: 'a1', role: 'assistant', text: 'Found it', model: 'gpt-4o', created_at: '2024-01-01T10:00:02.500Z'
+    }),
+    createMessage({
+      message_id: 'a2', role: 'assistant', text: 'Anything else?', model: 'gpt-4o-mini',
+      created_at: '2024-01-01T10:00:03Z', updated_at: '2024-01-01T10:00:04Z'
+    }),
+    createMessage({ message_id: 'u2', role: 'user', text: 'No thanks' })
+  ]));
+
+  assert.equal(rows.length, 2);
+  assert.deepEqual(Object.keys(rows[0]), EXCHANGE_COLUMNS);
+  assert.equal(rows[0].turn, 1);
+  assert.equal(rows[0].prompt, 'Search this');
+  assert.equal(rows[0].response_message_ids, 'a1,a2');
+  assert.equal(rows[0].response, 'Found it\n\nAnything else?');
+  assert.equal(rows[0].response_model, 'gpt-4o-mini');
+  assert.equal(rows[0].response_completed_at, '2024-01-01T10:00:04.000Z');
+  assert.equal(rows[0].response_latency_seconds, 2.5);
+  assert.equal(rows[0].response_message_count, 2);
+  assert.equal(rows[0].tool_names, 'web');
+
+  assert.equal(rows[1].turn, 2);
+  assert.equal(rows[1].response, '');
+  assert.equal(rows[1].response_message_count, 0);
+  assert.equal(rows[1].response_latency_seconds, '');
+});
+
+test('conversationToExchangeRows puts answers before the first prompt in turn 0', () => {
+  const rows = conversationToExchangeRows(exchangeConversation([
+    createMessage({ message_id: 'g1', role: 'assistant', text: 'Hello!' }),
+    createMessage({ message_id: 'u1', role: 'user', text: 'Hi' }),
+    createMessage({ message_id: 'a1', role: 'assistant', text: 'How can I help?' })
+  ]));
+
+  assert.deepEqual(rows.map(row => row.turn), [0, 1]);
+  assert.equal(rows[0].prompt_message_id, '');
+  assert.equal(rows[0].response, 'Hello!');
+  assert.equal(rows[1].response_message_ids, 'a1');
+});
+
+test('conversationToExchangeRows follows the active thread only', () => {
+  // u1 ─┬─ a1 (regenerated away)
+  //     └─ a2 ── u2 ── a3
+  const messages = annotateMessageTree([
+    createMessage({ message_id: 'u1', role: 'user', text: 'Question' }),
+    createMessage({ message_id: 'a1', parent_id: 'u1', role: 'assistant', text: 'First try' }),
+    createMessage({ message_id: 'a2', parent_id: 'u1', role: 'assistant', text: 'Second try' }),
+    createMessage({ message_id: 'u2', parent_id: 'a2', role: 'user', text: 'Follow-up' }),
+    createMessage({ message_id: 'a3', parent_id: 'u2', role: 'assistant', text: 'Answer' })
+  ], 'a3');
+
+  const rows = conversationToExchangeRows(exchangeConversation(messages));
+  assert.deepEqual(rows.map(row => row.response), ['Second try', 'Answer']);
+});
+
+test('conversationToExchangeRows returns no rows for an empty conversation', () => {
+  assert.deepEqual(conversationToExchangeRows(exchangeConversation([])), []);
+});
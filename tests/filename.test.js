@@ -0,0 +1,63 @@
+/**
+ * Tests for export filenames (utils/filename.js): sanitizing, templates and repeated names
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sanitizeFilenamePart, renderFilename, makeFilenamesUnique } from '../utils/filename.js';
+
+const EXPORT_DATE = new Date(2025, 0, 31, 9, 5, 7);
+
+function conversation(fields = {}) {
+  return { platform: 'chatgpt', conversation_id: 'abcdef12-3456', title: 'My chat', model: 'gpt-4o', ...fields };
+}
+
+test('sanitizeFilenamePart removes characters file systems reject', () => {
+  assert.equal(sanitizeFilenamePart('a<b>c:"d"/e\\f|g?h*i'), 'a_b_c_d_e_f_g_h_i');
+  assert.equal(sanitizeFilenamePart('line\nbreak\ttab'), 'line_break_tab');
+  assert.equal(sanitizeFilenamePart('  spaced   out  '), 'spaced_out');
+  assert.equal(sanitizeFilenamePart('..hidden.'), 'hidden');
+  assert.equal(sanitizeFilenamePart(null), '');
+});
+
+test('sanitizeFilenamePart guards reserved names and limits the length', () => {
+  assert.equal(sanitizeFilenamePart('CON'), '_CON');
+  assert.equal(sanitizeFilenamePart('lpt1'), '_lpt1');
+  assert.equal(sanitizeFilenamePart('console'), 'console');
+  assert.equal(sanitizeFilenamePart('ab cdef', 4), 'ab_c');
+  // Characters, not UTF-16 units, are counted, so emoji are never split
+  assert.equal(sanitizeFilenamePart('😀😀😀', 2), '😀😀');
+});
+
+test('renderFilename fills tokens and keeps unknown ones as typed', () => {
+  const filename = renderFilename('{platform}_{title}_{id8}_{model}_{date}_{time}_{kind}_{unknown}', {
+    conversations: [conversation()],
+    extension: 'csv',
+    kind: 'messages',
+    date: EXPORT_DATE
+  });
+  assert.equal(filename, 'chatgpt_My_chat_abcdef12_gpt-4o_2025-01-31_09-05-07_messages_{unknown}.csv');
+});
+
+test('renderFilename creates folders from slashes but never leaves the Downloads folder', () => {
+  const options = { conversations: [conversation({ title: 'a/b' })], extension: 'md', date: EXPORT_DATE };
+
+  assert.equal(renderFilename('ai-exports/{platform}/{title}', options), 'ai-exports/chatgpt/a_b.md');
+  assert.equal(renderFilename('../../{title}', options), 'a_b.md');
+  assert.equal(renderFilename('/', { ...options, platform: 'claude' }), 'claude_export.md');
+});
+
+test('renderFilename names exports of several conversations by their count', () => {
+  const filename = renderFilename('{title}_{id8}_{model}', {
+    conversations: [conversation(), conversation({ model: 'gpt-4o-mini' })],
+    extension: 'zip',
+    date: EXPORT_DATE
+  });
+  assert.equal(filename, '2_conversations_2_conversations.zip');
+});
+
+test('makeFilenamesUnique numbers repeated base names case-insensitively', () => {
+  assert.deepEqual(makeFilenamesUnique(['a/chat.csv', 'b/chat.csv', 'Chat.csv', 'other.csv']),
+    ['a/chat.csv', 'b/chat_2.csv', 'Chat_3.csv', 'other.csv']);
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for the message tree (utils/tree.js): branch annotation and the active thread
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { annotateMessageTree, selectActiveThread } from '../utils/tree.js';
+import { createConversation, createMessage } from '../utils/schema.js';
+
+/**
+ * A prompt answered twice (regeneration), then a follow-up edited and answered again:
+ *   u1 ─┬─ a1
+ *       └─ a2 ─┬─ u2 ── a3
+ *              └─ u2b ── a4 (edit of u2)
+ */
+function branchedMessages() {
+  return [
+    createMessage({ message_id: 'u1', role: 'user' }),
+    createMessage({ message_id: 'a1', parent_id: 'u1', role: 'assistant' }),
+    createMessage({ message_id: 'a2', parent_id: 'u1', role: 'assistant' }),
+    createMessage({ message_id: 'u2', parent_id: 'a2', role: 'user' }),
+    createMessage({ message_id: 'u2b', parent_id: 'a2', role: 'user' }),
+    createMessage({ message_id: 'a3', parent_id: 'u2', role: 'assistant' }),
+    createMessage({ message_id: 'a4', parent_id: 'u2b', role: 'assistant' })
+  ];
+}
+
+function byId(messages) {
+  return Object.fromEntries(messages.map(message => [message.message_id, message]));
+}
+
+test('annotateMessageTree orders depth-first and reindexes', () => {
+  const ordered = annotateMessageTree(branchedMessages(), 'a4');
+  assert.deepEqual(ordered.map(message => message.message_id), ['u1', 'a1', 'a2', 'u2', 'a3', 'u2b', 'a4']);
+  assert.deepEqual(ordered.map(message => message.index), [0, 1, 2, 3, 4, 5, 6]);
+});
+
+test('annotateMessageTree records depth, siblings and alternative types', () => {
+  const messages = byId(annotateMessageTree(branchedMessages(), 'a4'));
+
+  assert.equal(messages.u1.depth, 0);
+  assert.equal(messages.a4.depth, 3);
+  assert.deepEqual([messages.a2.sibling_index, messages.a2.sibling_count], [1, 2]);
+  assert.equal(messages.u1.alternative_type, '');
+  assert.equal(messages.a1.alternative_type, 'original');
+  assert.equal(messages.a2.alternative_type, 'regeneration');
+  assert.equal(messages.u2b.alternative_type, 'edit');
+});
+
+test('annotateMessageTree continues the branch of the first child only', () => {
+  const messages = byId(annotateMessageTree(branchedMessages(), 'a4'));
+
+  assert.equal(messages.a1.branch_id, 'u1');
+  assert.equal(messages.a2.branch_id, 'a2');
+  assert.equal(messages.u2.branch_id, 'a2');
+  assert.equal(messages.u2b.branch_id, 'u2b');
+  assert.equal(messages.a4.branch_id, 'u2b');
+});
+
+test('annotateMessageTree marks the path to the active leaf', () => {
+  const ordered = annotateMessageTree(branchedMessages(), 'a4');
+  const active = ordered.filter(message => message.on_active_path).map(message => message.message_id);
+  assert.deepEqual(active, ['u1', 'a2', 'u2b', 'a4']);
+});
+
+test('annotateMessageTree follows the latest children without a known leaf', () => {
+  const ordered = annotateMessageTree(branchedMessages(), 'missing');
+  const active = ordered.filter(message => message.on_active_path).map(message => message.message_id);
+  assert.deepEqual(active, ['u1', 'a2', 'u2b', 'a4']);
+});
+
+test('annotateMessageTree keeps messages caught in a parent cycle', () => {
+  const messages = [
+    createMessage({ message_id: 'x', parent_id: 'y', role: 'user' }),
+    createMessage({ message_id: 'y', parent_id: 'x', role: 'assistant' })
+  ];
+  const ordered = annotateMessageTree(messages);
+  assert.deepEqual(ordered.map(message => message.message_id).sort(), ['x', 'y']);
+});
+
+test('selectActiveThread keeps the active path root-to-leaf', () => {
+  const conversation = createConversation({ messages: annotateMessageTree(branchedMessages(), 'a3') });
+  const thread = selectActiveThread(conversation);
+  assert.deepEqual(thread.messages.map(message => message.message_id), ['u1', 'a2', 'u2', 'a3']);
+  assert.deepEqual(thread.messages.map(message => message.index), [0, 1, 2, 3]);
+});
+
+test('selectActiveThread keeps messages without tree data', () => {
+  const conversation = createConversation({
+    messages: [createMessage({ message_id: 'm1' }), createMessage({ message_id: 'm2', is_visually_hidden: true })]
+  });
+  assert.deepEqual(selectActiveThread(conversation).messages.map(message => message.message_id), ['m1']);
+});
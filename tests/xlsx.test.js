@@ -0,0 +1,72 @@
+/**
+ * Tests for the XLSX writer (utils/xlsx.js): workbook parts and typed cells
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWorkbook, generateConversationsXLSX, escapeXML } from '../utils/xlsx.js';
+import { createConversation, createMessage, createContentBlock } from '../utils/schema.js';
+import { readZip, entryText } from './zip-reader.js';
+
+test('escapeXML escapes markup and drops characters XML does not allow', () => {
+  assert.equal(escapeXML('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeXML('bell\u0007 tab\t'), 'bell tab\t');
+});
+
+test('createWorkbook writes one worksheet per sheet with a sanitized name', () => {
+  const entries = readZip(createWorkbook([
+    { name: 'Data', columns: ['a'], rows: [] },
+    { name: 'Q1/Q2: results', columns: ['a'], rows: [] }
+  ]));
+
+  assert.deepEqual(entries.map(entry => entry.name), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/worksheets/sheet1.xml',
+    'xl/worksheets/sheet2.xml'
+  ]);
+  assert.match(entryText(entries, 'xl/workbook.xml'), /<sheet name="Q1_Q2_ results" sheetId="2" r:id="rId2"\/>/);
+  assert.match(entryText(entries, '[Content_Types].xml'), /\/xl\/worksheets\/sheet2\.xml/);
+});
+
+test('createWorkbook types cells and never writes formulas', () => {
+  const entries = readZip(createWorkbook([{
+    name: 'Data',
+    columns: ['text', 'count', 'flag', 'created_at', 'empty'],
+    rows: [{ text: '=SUM(A1)', count: 3, flag: true, created_at: '2024-01-02T12:00:00Z', empty: '' }],
+    dateColumns: ['created_at']
+  }]));
+  const sheet = entryText(entries, 'xl/worksheets/sheet1.xml');
+
+  assert.match(sheet, /<c r="A1" t="inlineStr" s="2"><is><t>text<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">=SUM\(A1\)<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2"><v>3<\/v><\/c>/);
+  assert.match(sheet, /<c r="C2" t="b"><v>1<\/v><\/c>/);
+  assert.match(sheet, /<c r="D2" s="1"><v>45293.5<\/v><\/c>/);
+  assert.doesNotMatch(sheet, /r="E2"|<f>/);
+  assert.match(sheet, /state="frozen"/);
+});
+
+test('generateConversationsXLSX adds the Blocks sheet only when requested', () => {
+  const conversation = createConversation({
+    platform: 'claude',
+    conversation_id: 'conv-1',
+    messages: [createMessage({
+      message_id: 'm1',
+      role: 'user',
+      text: 'hi',
+      blocks: [createContentBlock({ type: 'text', text: 'hi' })]
+    })]
+  });
+
+  const sheetNames = bytes => [...entryText(readZip(bytes), 'xl/workbook.xml').matchAll(/<sheet name="([^"]+)"/g)]
+    .map(match => match[1]);
+
+  assert.deepEqual(sheetNames(generateConversationsXLSX([conversation])), ['Metadata', 'Messages']);
+  assert.deepEqual(sheetNames(generateConversationsXLSX([conversation], undefined, true)),
+    ['Metadata', 'Messages', 'Blocks']);
+});
@@ -0,0 +1,62 @@
+/**
+ * Minimal ZIP reader for the tests of utils/zip.js and utils/xlsx.js
+ * Reads the central directory and checks every entry against its header.
+ */
+
+import { inflateRawSync } from 'node:zlib';
+
+const decoder = new TextDecoder();
+
+/**
+ * Read the entries of a ZIP archive
+ * @param {Uint8Array} bytes - ZIP file bytes
+ * @returns {Array<Object>} { name, method, flags, checksum, data } in directory order
+ */
+export function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endOffset = bytes.length - 22;
+  if (view.getUint32(endOffset, true) !== 0x06054B50) {
+    throw new Error('End of central directory not found');
+  }
+
+  const count = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) {
+      throw new Error(`Bad central directory header at ${offset}`);
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const checksum = view.getUint32(offset + 16, true);
+    const storedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (view.getUint32(localOffset, true) !== 0x04034B50) {
+      throw new Error(`Bad local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const stored = bytes.subarray(dataStart, dataStart + storedSize);
+    const data = method === 8 ? new Uint8Array(inflateRawSync(stored)) : stored;
+    if (data.length !== size) {
+      throw new Error(`Size mismatch for ${name}`);
+    }
+
+    entries.push({ name, method, flags, checksum, data });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Decode an entry's data as UTF-8 text
+ */
+export function entryText(entries, name) {
+  const entry = entries.find(candidate => candidate.name === name);
+  return entry ? decoder.decode(entry.data) : null;
+}
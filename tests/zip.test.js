@@ -0,0 +1,43 @@
+/**
+ * Tests for the ZIP writer (utils/zip.js): checksums, store and DEFLATE archives
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { crc32, createZip, createCompressedZip } from '../utils/zip.js';
+import { readZip, entryText } from './zip-reader.js';
+
+test('crc32 matches the IEEE 802.3 check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('createZip stores entries with UTF-8 names and their checksums', () => {
+  const bytes = new Uint8Array([0, 1, 2, 255]);
+  const entries = readZip(createZip([
+    { name: 'notes/résumé.txt', data: 'héllo' },
+    { name: 'raw.bin', data: bytes }
+  ]));
+
+  assert.deepEqual(entries.map(entry => entry.name), ['notes/résumé.txt', 'raw.bin']);
+  assert.ok(entries.every(entry => entry.method === 0 && entry.flags & 0x0800));
+  assert.equal(entryText(entries, 'notes/résumé.txt'), 'héllo');
+  assert.deepEqual([...entries[1].data], [...bytes]);
+  assert.ok(entries.every(entry => entry.checksum === crc32(entry.data)));
+});
+
+test('createCompressedZip deflates entries that shrink and stores the rest', async () => {
+  const repetitive = 'conversation,'.repeat(500);
+  const entries = readZip(await createCompressedZip([
+    { name: 'big.csv', data: repetitive },
+    { name: 'tiny.txt', data: 'x' },
+    { name: 'empty.txt', data: '' }
+  ]));
+
+  assert.deepEqual(entries.map(entry => entry.method), [8, 0, 0]);
+  assert.equal(entryText(entries, 'big.csv'), repetitive);
+  assert.equal(entryText(entries, 'tiny.txt'), 'x');
+  assert.equal(entryText(entries, 'empty.txt'), '');
+  assert.ok(entries.every(entry => entry.checksum === crc32(entry.data)));
+});
@@ -0,0 +1,225 @@
+/**
+ * Artifact Extraction Module
+ *
+ * Rebuilds every version of the artifacts Claude created in a conversation.
+ * Artifacts arrive as `artifacts` tool_use blocks (see the blocks table):
+ * `create` and `rewrite` carry the full content, `update` replaces one
+ * string (old_str → new_str) in the previous version. Versions follow the
+ * message tree, so an update on one branch never leaks into another.
+ *
+ * Each version becomes a file in the export bundle, e.g.
+ * `artifacts/my-app_v3.tsx`, listed in the artifacts table.
+ */
+
+import { sanitizeFilenamePart } from './filename.js';
+
+/**
+ * Artifact version columns (artifacts CSV)
+ */
+export const ARTIFACT_COLUMNS = [
+  'platform',
+  'conversation_id',
+  'message_id',
+  'tool_use_id',
+  'created_at',
+  'on_active_path',
+  'artifact_id',
+  'version',
+  'previous_version',
+  'command',
+  'artifact_type',
+  'language',
+  'title',
+  'content_status',
+  'file_name'
+];
+
+/**
+ * Name of the tool that creates and edits artifacts
+ */
+const ARTIFACT_TOOL_NAME = 'artifacts';
+
+/**
+ * Folder of the artifact files inside the bundle
+ */
+const ARTIFACTS_FOLDER = 'artifacts';
+
+/**
+ * File extensions by artifact type (code artifacts use their language)
+ */
+const TYPE_EXTENSIONS = {
+  'application/vnd.ant.react': 'tsx',
+  'application/vnd.ant.mermaid': 'mmd',
+  'text/html': 'html',
+  'text/markdown': 'md',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * File extensions by code artifact language
+ */
+const LANGUAGE_EXTENSIONS = {
+  bash: 'sh',
+  c: 'c',
+  cpp: 'cpp',
+  csharp: 'cs',
+  css: 'css',
+  go: 'go',
+  html: 'html',
+  java: 'java',
+  javascript: 'js',
+  json: 'json',
+  jsx: 'jsx',
+  kotlin: 'kt',
+  markdown: 'md',
+  php: 'php',
+  python: 'py',
+  r: 'r',
+  ruby: 'rb',
+  rust: 'rs',
+  shell: 'sh',
+  sql: 'sql',
+  swift: 'swift',
+  tsx: 'tsx',
+  typescript: 'ts',
+  xml: 'xml',
+  yaml: 'yaml'
+};
+
+/**
+ * Pick the file extension of an artifact version
+ */
+function getArtifactExtension(type, language) {
+  return TYPE_EXTENSIONS[type] || LANGUAGE_EXTENSIONS[String(language || '').toLowerCase()] || 'txt';
+}
+
+/**
+ * Apply one artifact command to the previous version
+ * @param {Object|undefined} previous - Previous version of the artifact on this branch
+ * @param {Object} input - Input of the artifacts tool call
+ * @returns {Object} { content, content_status } where content_status is 'full',
+ *   'updated' or 'update_failed' (the previous content is kept)
+ */
+function applyArtifactCommand(previous, input) {
+  if (input.command !== 'update') {
+    return { content: typeof input.content === 'string' ? input.content : '', content_status: 'full' };
+  }
+
+  const content = previous ? previous.content : '';
+  const oldString = typeof input.old_str === 'string' ? input.old_str : '';
+  if (!previous || oldString === '' || !content.includes(oldString)) {
+    return { content, content_status: 'update_failed' };
+  }
+
+  const newString = typeof input.new_str === 'string' ? input.new_str : '';
+  return { content: content.replace(oldString, () => newString), content_status: 'updated' };
+}
+
+/**
+ * Rebuild every artifact version of a conversation, in message order
+ * Each message starts from the artifacts as they were after its parent.
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @returns {Array<Object>} Versions with message, tool_use_id, artifact_id, version,
+ *   previous_version, command, type, language, title, content and content_status
+ */
+export function extractArtifactVersions(conversation) {
+  const versions = [];
+  const stateAfterMessage = new Map();
+  const versionCounts = new Map();
+
+  for (const message of conversation.messages) {
+    let state = stateAfterMessage.get(message.parent_id) || new Map();
+
+    for (const block of message.blocks) {
+      const input = block.input;
+      if (block.type !== 'tool_use' || block.tool_name !== ARTIFACT_TOOL_NAME ||
+          !input || typeof input !== 'object' || !input.id) {
+        continue;
+      }
+
+      const artifactId = String(input.id);
+      const previous = state.get(artifactId);
+      const version = (versionCounts.get(artifactId) || 0) + 1;
+      versionCounts.set(artifactId, version);
+
+      const current = {
+        ...applyArtifactCommand(previous, input),
+        type: input.type || (previous ? previous.type : ''),
+        language: input.language || (previous ? previous.language : ''),
+        title: input.title || (previous ? previous.title : ''),
+        version
+      };
+
+      // Copy before changing so sibling branches keep their own state
+      state = new Map(state);
+      state.set(artifactId, current);
+
+      versions.push({
+        message,
+        tool_use_id: block.tool_use_id,
+        artifact_id: artifactId,
+        previous_version: previous ? previous.version : '',
+        command: input.command || '',
+        ...current
+      });
+    }
+
+    stateAfterMessage.set(message.message_id, state);
+  }
+
+  return versions;
+}
+
+/**
+ * Collect the artifact files and table rows of an export
+ * Exports of several conversations put each conversation's files in a
+ * subfolder named after its ID.
+ *
+ * @param {Array<Object>} conversations - Normalized conversations
+ * @returns {Object} { rows, files }: rows keyed by ARTIFACT_COLUMNS and files
+ *   as { path, content } with paths relative to the bundle
+ */
+export function collectArtifacts(conversations) {
+  const rows = [];
+  const files = [];
+  const usedPaths = new Set();
+
+  for (const conversation of conversations) {
+    const folder = conversations.length > 1 ?
+      `${ARTIFACTS_FOLDER}/${sanitizeFilenamePart(conversation.conversation_id) || 'unknown'}` :
+      ARTIFACTS_FOLDER;
+
+    for (const version of extractArtifactVersions(conversation)) {
+      const name = `${sanitizeFilenamePart(version.artifact_id) || 'artifact'}_v${version.version}`;
+      const extension = getArtifactExtension(version.type, version.language);
+      let path = `${folder}/${name}.${extension}`;
+      // Identifiers that only differ in characters removed by sanitizing
+      for (let counter = 2; usedPaths.has(path.toLowerCase()); counter++) {
+        path = `${folder}/${name}_${counter}.${extension}`;
+      }
+      usedPaths.add(path.toLowerCase());
+
+      files.push({ path, content: version.content });
+      rows.push({
+        platform: conversation.platform,
+        conversation_id: conversation.conversation_id,
+        message_id: version.message.message_id,
+        tool_use_id: version.tool_use_id,
+        created_at: version.message.created_at,
+        on_active_path: version.message.on_active_path,
+        artifact_id: version.artifact_id,
+        version: version.version,
+        previous_version: version.previous_version,
+        command: version.command,
+        artifact_type: version.type,
+        language: version.language,
+        title: version.title,
+        content_status: version.content_status,
+        file_name: path
+      });
+    }
+  }
+
+  return { rows, files };
+}
@@ -0,0 +1,133 @@
+/**
+ * Bulk Transfer Module
+ *
+ * Collects the conversations of a bulk export that content scripts send in
+ * batches while they are still fetching (BULK_EXPORT_BATCH), keyed by an
+ * export ID chosen by the content script. The serialized size of each
+ * export is capped: the batch that crosses the limit is refused and the
+ * whole transfer is dropped, so the content script can stop fetching.
+ */
+
+/**
+ * Size limit across all conversations of one bulk export (serialized JSON)
+ */
+export const MAX_BULK_EXPORT_SIZE = 200 * 1024 * 1024; // 200MB
+
+/**
+ * Transfers idle for longer than this are dropped (e.g. the tab was closed)
+ */
+export const BULK_TRANSFER_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Export IDs accepted from content scripts (crypto.randomUUID)
+ */
+const EXPORT_ID_PATTERN = /^[a-zA-Z0-9-]{1,64}$/;
+
+/**
+ * Measure the serialized size of conversation payloads
+ * @param {Array<Object>} payloads - Raw conversation payloads
+ * @returns {number} Total JSON length, or Infinity when a payload cannot be serialized
+ */
+export function measurePayloads(payloads) {
+  let size = 0;
+  for (const payload of payloads) {
+    try {
+      size += JSON.stringify(payload).length;
+    } catch (error) {
+      return Infinity;
+    }
+  }
+  return size;
+}
+
+/**
+ * Get the error for a bulk export over the size limit
+ * @param {number} size - Serialized size so far
+ * @param {number} [maxSize] - Size limit in characters
+ * @returns {string} Error message
+ */
+export function getBulkSizeError(size, maxSize = MAX_BULK_EXPORT_SIZE) {
+  const toMB = value => (value / 1024 / 1024).toFixed(2).replace(/\.?0+$/, '');
+  const sizeText = isFinite(size) ? `${toMB(size)}MB` : 'unknown size';
+  return `Bulk export too large: ${sizeText} (max: ${toMB(maxSize)}MB). Use filters to export fewer conversations.`;
+}
+
+/**
+ * Create the store of bulk exports being received
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Size limit per export (defaults to MAX_BULK_EXPORT_SIZE)
+ * @param {number} [options.timeoutMs] - Idle time before a transfer is dropped
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} { receiveBatch, take, discard }
+ */
+export function createBulkTransferStore(options = {}) {
+  const maxSize = options.maxSize || MAX_BULK_EXPORT_SIZE;
+  const timeoutMs = options.timeoutMs || BULK_TRANSFER_TIMEOUT_MS;
+  const now = options.now || Date.now;
+  // exportId -> { platform, payloads, size, updatedAt }
+  const transfers = new Map();
+
+  function dropStale(time) {
+    for (const [id, transfer] of transfers) {
+      if (time - transfer.updatedAt > timeoutMs) {
+        transfers.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Add one batch to its transfer
+   * @param {Object} message - { platform, exportId, payloads }
+   * @returns {Object} { success, error } or { success, received }
+   */
+  function receiveBatch({ platform, exportId, payloads }) {
+    if (typeof exportId !== 'string' || !EXPORT_ID_PATTERN.test(exportId)) {
+      return { success: false, error: 'Invalid bulk export ID' };
+    }
+    if (!Array.isArray(payloads)) {
+      return { success: false, error: 'Bulk export batch has no conversations' };
+    }
+
+    const time = now();
+    dropStale(time);
+
+    const transfer = transfers.get(exportId) || { platform, payloads: [], size: 0, updatedAt: time };
+    if (transfer.platform !== platform) {
+      return { success: false, error: 'Bulk export batch from another platform' };
+    }
+
+    const size = transfer.size + measurePayloads(payloads);
+    if (size > maxSize) {
+      transfers.delete(exportId);
+      return { success: false, error: getBulkSizeError(size, maxSize) };
+    }
+
+    transfer.payloads.push(...payloads);
+    transfer.size = size;
+    transfer.updatedAt = time;
+    transfers.set(exportId, transfer);
+    return { success: true, received: transfer.payloads.length };
+  }
+
+  /**
+   * Remove a transfer and return its conversations
+   * @returns {Array<Object>|null} Payloads, or null for an unknown export or another platform
+   */
+  function take(exportId, platform) {
+    const transfer = transfers.get(exportId);
+    if (!transfer || transfer.platform !== platform) {
+      return null;
+    }
+    transfers.delete(exportId);
+    return transfer.payloads;
+  }
+
+  /**
+   * Drop a transfer (the export was cancelled or failed in the page)
+   */
+  function discard(exportId, platform) {
+    take(exportId, platform);
+  }
+
+  return { receiveBatch, take, discard };
+}
@@ -3,26 +3,97 @@
  * 
  * Provides functions for generating CSV content from flattened data structures.
  * Handles proper escaping according to RFC 4180.
+ *
+ * Every CSV export is written here, in the dialect chosen in the user's
+ * preferences (shared/preferences.js):
+ * - delimiter: ',', ';' or '\t'
+ * - lineEnding: 'lf' or 'crlf' (RFC 4180)
+ * - quoting: 'minimal' (quote fields that need it) or 'all'
+ * - formulaProtection: 'quote' (prefix every value starting with a formula
+ *   character), 'formulas' (prefix only values that look like formulas) or
+ *   'off' (write text unaltered)
+ * The byte order mark is added by createCSVBlob.
+ */
+
+/**
+ * Record separators per line ending setting
+ */
+const CSV_LINE_BREAKS = {
+  crlf: '\r\n',
+  lf: '\n'
+};
+
+/**
+ * Dialect used when no options are given
+ */
+const DEFAULT_DIALECT = {
+  delimiter: ',',
+  lineEnding: 'lf',
+  quoting: 'minimal',
+  formulaProtection: 'quote'
+};
+
+/**
+ * Characters that make spreadsheets read a cell as a formula
+ * = (formula), + (formula), - (formula), @ (formula), \t (tab), \r (carriage return),
+ * \n (line feed); looksLikeFormula skips the same leading whitespace
+ */
+const FORMULA_CHARS = ['=', '+', '-', '@', '\t', '\r', '\n'];
+
+/**
+ * Plain numbers such as -5, +1.5, -3,25 or -12%
+ */
+const NUMBER_PATTERN = /^[+-]?(\d+([.,]\d+)*|[.,]\d+)(e[+-]?\d+)?%?$/i;
+
+/**
+ * Check whether a value would be evaluated as a formula by a spreadsheet
+ * Leading tabs and line breaks are skipped like spreadsheets do. Plain numbers,
+ * Markdown bullets and rules (`- item`, `---`) and mentions (`@name`) are text;
+ * `=…`, signed expressions (`-2+3`, `+A1`) and `@FUNCTION(` calls are formulas.
+ *
+ * @param {string} value - Cell text
+ * @returns {boolean} True when the value looks like a formula
  */
+function looksLikeFormula(value) {
+  const trimmed = value.replace(/^[\t\r\n]+/, '');
+
+  if (trimmed.startsWith('=')) {
+    return trimmed.length > 1;
+  }
+  if (trimmed.startsWith('+') || trimmed.startsWith('-')) {
+    const operand = trimmed.replace(/^[+-]+/, '');
+    return operand.length > 0 && !/^\s/.test(operand) && !NUMBER_PATTERN.test(trimmed);
+  }
+  if (trimmed.startsWith('@')) {
+    return /^@[a-z_][\w.]*\s*\(/i.test(trimmed);
+  }
+  return false;
+}
 
 /**
  * Escapes a field value for CSV format according to RFC 4180
  * Also prevents CSV injection attacks
  *
  * Rules:
- * - Fields containing comma, quote, or newline must be wrapped in quotes
+ * - Fields containing the delimiter, quote, or newline must be wrapped in quotes
+ *   (with quoting 'all', every field is wrapped)
  * - Quotes within fields must be escaped by doubling them
  * - Empty/null values become empty strings
- * - Values starting with dangerous characters (=, +, -, @, tab, CR) are prefixed with single quote
- *   to prevent formula execution in Excel/Google Sheets
+ * - Values starting with dangerous characters (=, +, -, @, tab, CR, LF) are prefixed with single quote
+ *   to prevent formula execution in Excel/Google Sheets; with formulaProtection 'formulas' only
+ *   values that look like formulas are prefixed, with 'off' none are
  *
  * @param {*} value - The value to escape
+ * @param {Object} [dialect] - { delimiter, quoting, formulaProtection } (see module comment)
  * @returns {string} Escaped CSV field value
  */
-export function escapeCSVField(value) {
+export function escapeCSVField(value, dialect = DEFAULT_DIALECT) {
+  const delimiter = dialect.delimiter || DEFAULT_DIALECT.delimiter;
+  const quoteAll = dialect.quoting === 'all';
+
   // Handle null/undefined
   if (value === null || value === undefined) {
-    return '';
+    return quoteAll ? '""' : '';
   }
 
   // Convert to string
@@ -30,15 +101,16 @@ export function escapeCSVField(value) {
 
   // Prevent CSV injection: sanitize values starting with dangerous characters
   // These characters can trigger formula execution in Excel/LibreOffice/Google Sheets
-  // = (formula), + (formula), - (formula), @ (formula), \t (tab), \r (carriage return)
-  const dangerousChars = ['=', '+', '-', '@', '\t', '\r'];
-  if (dangerousChars.some(char => stringValue.startsWith(char))) {
+  const protection = dialect.formulaProtection || DEFAULT_DIALECT.formulaProtection;
+  const startsWithFormulaChar = FORMULA_CHARS.some(char => stringValue.startsWith(char));
+  if (startsWithFormulaChar &&
+      (protection === 'quote' || (protection === 'formulas' && looksLikeFormula(stringValue)))) {
     // Prefix with single quote to treat as text
     stringValue = "'" + stringValue;
   }
 
-  // Check if field needs escaping (contains comma, quote, or newline)
-  if (stringValue.includes(',') || stringValue.includes('"') ||
+  // Check if field needs escaping (contains delimiter, quote, or newline)
+  if (quoteAll || stringValue.includes(delimiter) || stringValue.includes('"') ||
       stringValue.includes('\n') || stringValue.includes('\r')) {
     // Escape quotes by doubling them, then wrap in quotes
     return '"' + stringValue.replace(/"/g, '""') + '"';
@@ -52,9 +124,11 @@ export function escapeCSVField(value) {
  *
  * @param {Array<Object>} data - Array of objects to convert to CSV
  * @param {Array<string>} headers - Optional array of header names. If not provided, uses all keys from first object.
+ * @param {Object} [options] - Dialect: { delimiter, lineEnding, quoting } (defaults to
+ *   comma, LF and minimal quoting)
  * @returns {string} CSV formatted string
  */
-export function generateCSV(data, headers = null) {
+export function generateCSV(data, headers = null, options = {}) {
   if (!data || data.length === 0) {
     return '';
   }
@@ -64,53 +138,32 @@ export function generateCSV(data, headers = null) {
     headers = Object.keys(data[0]);
   }
 
+  const dialect = { ...DEFAULT_DIALECT, ...options };
+  const lineBreak = CSV_LINE_BREAKS[dialect.lineEnding] || CSV_LINE_BREAKS.lf;
+
   // Generate header row
-  const headerRow = headers.map(escapeCSVField).join(',');
+  const headerRow = headers.map(header => escapeCSVField(header, dialect)).join(dialect.delimiter);
 
   // Generate data rows
   const rows = [headerRow];
   for (const row of data) {
-    const values = headers.map(header => escapeCSVField(row[header]));
-    rows.push(values.join(','));
+    const values = headers.map(header => escapeCSVField(row[header], dialect));
+    rows.push(values.join(dialect.delimiter));
   }
 
-  return rows.join('\n');
+  return rows.join(lineBreak);
 }
 
 /**
- * Generates a CSV file with UTF-8 BOM for Excel compatibility
+ * Generates a CSV file, by default with UTF-8 BOM for Excel compatibility
  *
  * @param {string} csvContent - The CSV content
+ * @param {boolean} [includeBOM] - Prepend the UTF-8 BOM (default: true)
  * @returns {Blob} Blob object ready for download
  */
-export function createCSVBlob(csvContent) {
+export function createCSVBlob(csvContent, includeBOM = true) {
   // Add UTF-8 BOM for Excel compatibility
-  const BOM = '\uFEFF';
+  const BOM = includeBOM ? '\uFEFF' : '';
   return new Blob([BOM + csvContent], { type: 'text/csv;charset=utf-8;' });
 }
 
-/**
- * Generates a filename with timestamp
- *
- * @param {string} prefix - Filename prefix (e.g., 'conversation_messages', 'chatgpt_conversation')
- * @param {string} suffix - Optional suffix to add before timestamp (e.g., conversation ID)
- * @returns {string} Generated filename
- */
-export function generateFilename(prefix = 'export', suffix = '') {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const seconds = String(now.getSeconds()).padStart(2, '0');
-
-  const timestamp = `${year}-${month}-${day}_${hours}-${minutes}-${seconds}`;
-
-  if (suffix) {
-    return `${prefix}_${suffix}_${timestamp}.csv`;
-  }
-
-  return `${prefix}_${timestamp}.csv`;
-}
-
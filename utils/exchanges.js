@@ -0,0 +1,136 @@
+/**
+ * Exchange Layout Module
+ *
+ * Turns a normalized conversation into "wide" rows: one row per exchange
+ * (a user prompt and everything the assistant answered before the next
+ * prompt) instead of one row per message. Exchanges follow the active
+ * thread (utils/tree.js), so abandoned regenerations and edits are left out.
+ *
+ * The response joins the assistant's visible messages; tool calls and tool
+ * output in between are listed in tool_names, and reasoning (ChatGPT
+ * thoughts) is left out of the text.
+ */
+
+import { ROLES } from './schema.js';
+import { selectActiveThread } from './tree.js';
+
+/**
+ * Exchange-level columns (exchanges CSV)
+ */
+export const EXCHANGE_COLUMNS = [
+  'platform',
+  'conversation_id',
+  'conversation_title',
+  'turn',
+  'prompt_message_id',
+  'prompt',
+  'prompt_created_at',
+  'response_message_ids',
+  'response',
+  'response_model',
+  'response_created_at',
+  'response_completed_at',
+  'response_latency_seconds',
+  'response_message_count',
+  'tool_names'
+];
+
+/**
+ * Assistant content types that are not part of the visible answer
+ * (ChatGPT reasoning and code sent to tools)
+ */
+const NON_RESPONSE_CONTENT_TYPES = ['thoughts', 'reasoning_recap', 'code'];
+
+/**
+ * Check whether an assistant message belongs to the visible answer
+ */
+function isResponseMessage(message) {
+  return message.role === ROLES.ASSISTANT &&
+    !NON_RESPONSE_CONTENT_TYPES.includes(message.content_type) &&
+    message.text.trim() !== '';
+}
+
+/**
+ * Seconds between two ISO 8601 timestamps
+ * @returns {number|string} Seconds (millisecond precision), or empty string when unknown
+ */
+function secondsBetween(startTimestamp, endTimestamp) {
+  const start = Date.parse(startTimestamp);
+  const end = Date.parse(endTimestamp);
+  if (!startTimestamp || !endTimestamp || isNaN(start) || isNaN(end)) {
+    return '';
+  }
+  return Math.round(end - start) / 1000;
+}
+
+/**
+ * Build the row of one exchange
+ * @param {Object} conversation - Normalized conversation
+ * @param {number} turn - 1-based exchange number (0 for replies before the first prompt)
+ * @param {Object|null} prompt - User message
+ * @param {Array<Object>} replies - Messages between this prompt and the next
+ * @returns {Object} Row keyed by EXCHANGE_COLUMNS
+ */
+function buildExchangeRow(conversation, turn, prompt, replies) {
+  const responses = replies.filter(isResponseMessage);
+  const toolNames = [...new Set(replies.flatMap(message => message.tool_name.split(',')).filter(Boolean))];
+  const first = responses[0];
+  const last = responses[responses.length - 1];
+  const promptCreatedAt = prompt ? prompt.created_at : '';
+  const responseCreatedAt = first ? first.created_at : '';
+
+  return {
+    platform: conversation.platform,
+    conversation_id: conversation.conversation_id,
+    conversation_title: conversation.title,
+    turn: turn,
+    prompt_message_id: prompt ? prompt.message_id : '',
+    prompt: prompt ? prompt.text : '',
+    prompt_created_at: promptCreatedAt,
+    response_message_ids: responses.map(message => message.message_id).join(','),
+    response: responses.map(message => message.text).join('\n\n'),
+    response_model: last ? last.model : '',
+    response_created_at: responseCreatedAt,
+    response_completed_at: last ? (last.updated_at || last.created_at) : '',
+    response_latency_seconds: secondsBetween(promptCreatedAt, responseCreatedAt),
+    response_message_count: responses.length,
+    tool_names: toolNames.join(',')
+  };
+}
+
+/**
+ * Group the active thread of a conversation into exchanges
+ * Every user message starts an exchange; system messages are skipped.
+ * Assistant or tool messages before the first prompt form turn 0.
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @returns {Array<Object>} Rows keyed by EXCHANGE_COLUMNS
+ */
+export function conversationToExchangeRows(conversation) {
+  const rows = [];
+  let prompt = null;
+  let replies = [];
+  let turn = 0;
+
+  const flush = () => {
+    if (prompt || replies.length > 0) {
+      rows.push(buildExchangeRow(conversation, turn, prompt, replies));
+    }
+  };
+
+  for (const message of selectActiveThread(conversation).messages) {
+    if (message.role === ROLES.SYSTEM) continue;
+
+    if (message.role === ROLES.USER) {
+      flush();
+      turn += 1;
+      prompt = message;
+      replies = [];
+    } else {
+      replies.push(message);
+    }
+  }
+  flush();
+
+  return rows;
+}
@@ -0,0 +1,167 @@
+/**
+ * Filename Template Module
+ *
+ * Renders export filenames from the user's filename template (the
+ * filenameTemplate preference, see shared/preferences.js). Every export
+ * file, bundle and the popup's file preview is named here.
+ *
+ * Tokens are written in braces, e.g. `{platform}_{title}_{date}`. Slashes
+ * create subfolders of the Downloads folder (`ai-exports/{platform}/{title}`).
+ * Token values are made filesystem-safe; unknown tokens are kept as typed.
+ */
+
+/**
+ * Template tokens with descriptions (shown on the options page)
+ */
+export const FILENAME_TOKENS = {
+  platform: 'Platform (chatgpt, claude, copilot)',
+  participant: 'AI you talked with (ChatGPT, Claude, Co-pilot)',
+  title: 'Conversation title',
+  conversation_id: 'Full conversation ID',
+  id8: 'First 8 characters of the conversation ID',
+  model: 'Model of the conversation',
+  date: 'Export date (YYYY-MM-DD)',
+  time: 'Export time (HH-MM-SS)',
+  format: 'Export format (csv, exchanges, json, markdown, ...)',
+  kind: 'File kind (conversation, messages, metadata, blocks, attachments, artifacts, project, knowledge, exchanges, transcript, graph, export)'
+};
+
+/**
+ * Maximum length of a title token and of a whole file or folder name
+ */
+const MAX_TITLE_LENGTH = 80;
+const MAX_SEGMENT_LENGTH = 150;
+
+/**
+ * Names Windows reserves for devices; a file with one of them cannot be created
+ */
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])$/i;
+
+/**
+ * Make a value safe as (part of) a file or folder name
+ * Removes characters Windows, macOS and Linux reject, turns whitespace into
+ * underscores and trims leading and trailing dots and underscores.
+ *
+ * @param {*} value - Value to sanitize
+ * @param {number} [maxLength] - Maximum length in characters
+ * @returns {string} Sanitized name part (may be empty)
+ */
+export function sanitizeFilenamePart(value, maxLength = MAX_SEGMENT_LENGTH) {
+  const cleaned = String(value ?? '')
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]+/g, ' ')
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/_{2,}/g, '_');
+
+  const shortened = Array.from(cleaned).slice(0, maxLength).join('');
+  const trimmed = shortened.replace(/^[._]+|[._\s]+$/g, '');
+  return RESERVED_NAMES.test(trimmed) ? `_${trimmed}` : trimmed;
+}
+
+/**
+ * Format the local date and time of an export
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH-MM-SS' }
+ */
+function formatExportTime(now) {
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`
+  };
+}
+
+/**
+ * Collect the token values for an export
+ * Exports of several conversations use `N_conversations` for the title and
+ * IDs, and the model only when all conversations share it.
+ *
+ * @param {Object} options - See renderFilename
+ * @returns {Object} Sanitized token values
+ */
+function getTokenValues({ conversations, platform, participant, kind, format, date }) {
+  const { date: exportDate, time } = formatExportTime(date || new Date());
+  const models = new Set(conversations.map(conversation => conversation.model || ''));
+  const single = conversations.length === 1 ? conversations[0] : null;
+  const multiple = `${conversations.length}_conversations`;
+  const conversationId = single ? (single.conversation_id || 'unknown') : multiple;
+
+  const values = {
+    platform: platform || (single && single.platform) || '',
+    participant: participant || '',
+    title: single ? sanitizeFilenamePart(single.title, MAX_TITLE_LENGTH) || 'untitled' : multiple,
+    conversation_id: conversationId,
+    id8: single ? conversationId.substring(0, 8) : multiple,
+    model: models.size === 1 ? [...models][0] : '',
+    date: exportDate,
+    time: time,
+    format: format || '',
+    kind: kind || ''
+  };
+
+  for (const [token, value] of Object.entries(values)) {
+    values[token] = sanitizeFilenamePart(value);
+  }
+  return values;
+}
+
+/**
+ * Render an export filename from a template
+ *
+ * @param {string} template - Filename template (without extension)
+ * @param {Object} options - Export details
+ * @param {Array<Object>} options.conversations - Exported conversations (normalized,
+ *   or any objects with conversation_id, title, model and platform)
+ * @param {string} options.extension - File extension without the dot
+ * @param {string} [options.platform] - Platform ID (defaults to the conversation's)
+ * @param {string} [options.participant] - Display name of the AI
+ * @param {string} [options.kind] - File kind, e.g. 'messages' or 'transcript'
+ * @param {string} [options.format] - Export format key
+ * @param {Date} [options.date] - Export time (defaults to now)
+ * @returns {string} Relative path such as `ai-exports/chatgpt/My_chat_2025-01-31.csv`
+ */
+export function renderFilename(template, options) {
+  const values = getTokenValues(options);
+  const segments = String(template || '')
+    .split(/[\\/]+/)
+    .map(segment => segment.replace(/\{(\w+)\}/g, (match, token) => (
+      Object.prototype.hasOwnProperty.call(values, token) ? values[token] : match
+    )))
+    .map(segment => sanitizeFilenamePart(segment))
+    .filter(segment => segment.length > 0);
+
+  const name = segments.pop() || sanitizeFilenamePart(`${values.platform}_export`) || 'export';
+  return [...segments, `${name}.${options.extension}`].join('/');
+}
+
+/**
+ * Get the file name of a rendered path (without its folders)
+ * Used for files stored inside a ZIP bundle.
+ *
+ * @param {string} path - Rendered path
+ * @returns {string} Last path segment
+ */
+export function getBaseFilename(path) {
+  return path.substring(path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Number repeated names so files in one export never overwrite each other
+ * (e.g. a template without {kind}, or two transcripts with the same title).
+ * Base names are compared because files in a ZIP bundle drop their folders.
+ *
+ * @param {Array<string>} filenames - Rendered paths
+ * @returns {Array<string>} Paths with `_2`, `_3`, ... added before the extension of repeats
+ */
+export function makeFilenamesUnique(filenames) {
+  const used = new Set();
+  return filenames.map(filename => {
+    let candidate = filename;
+    const dot = filename.lastIndexOf('.');
+    for (let counter = 2; used.has(getBaseFilename(candidate).toLowerCase()); counter++) {
+      candidate = `${filename.substring(0, dot)}_${counter}${filename.substring(dot)}`;
+    }
+    used.add(getBaseFilename(candidate).toLowerCase());
+    return candidate;
+  });
+}
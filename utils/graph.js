@@ -0,0 +1,220 @@
+/**
+ * Graph Generation Utility Module
+ *
+ * Writes the message graph of a normalized conversation (see utils/schema.js)
+ * for graph tools: GraphML for Gephi and DOT for Graphviz. Every message is a
+ * node carrying its role, timestamp, model, tree position and a short text
+ * preview; every edge points from a message's parent to the message.
+ *
+ * Edges are only drawn when the parent is part of the export, so an
+ * active-thread export (see utils/tree.js) yields a single chain. Node
+ * attributes follow the selected message columns; the label is always written.
+ */
+
+import { MESSAGE_COLUMNS } from './schema.js';
+import { getConversationDisplayTitle, getRoleLabel } from './markdown.js';
+import { escapeXML } from './xlsx.js';
+
+/**
+ * Maximum length of the text preview stored on each node
+ */
+const PREVIEW_LENGTH = 120;
+
+/**
+ * Node attributes with their GraphML type and the message column they come from
+ * GraphML and DOT share this list so both formats carry the same fields.
+ */
+const NODE_ATTRIBUTES = [
+  { name: 'label', type: 'string', column: null, read: message => getRoleLabel(message) },
+  { name: 'role', type: 'string', column: 'role', read: message => message.role },
+  { name: 'created_at', type: 'string', column: 'created_at', read: message => message.created_at },
+  { name: 'model', type: 'string', column: 'model', read: message => message.model },
+  { name: 'preview', type: 'string', column: 'text', read: message => getTextPreview(message.text) },
+  { name: 'index', type: 'int', column: 'index', read: message => message.index },
+  { name: 'depth', type: 'int', column: 'depth', read: message => message.depth },
+  { name: 'branch_id', type: 'string', column: 'branch_id', read: message => message.branch_id },
+  { name: 'on_active_path', type: 'boolean', column: 'on_active_path', read: message => message.on_active_path },
+  { name: 'alternative_type', type: 'string', column: 'alternative_type', read: message => message.alternative_type }
+];
+
+/**
+ * Graph attributes: [name, read from conversation]
+ */
+const GRAPH_ATTRIBUTES = [
+  ['platform', conversation => conversation.platform],
+  ['conversation_id', conversation => conversation.conversation_id],
+  ['title', conversation => getConversationDisplayTitle(conversation)],
+  ['model', conversation => conversation.model]
+];
+
+/**
+ * Shorten message text to a single-line preview
+ *
+ * @param {string} text - Message text
+ * @returns {string} Whitespace-collapsed text, truncated with an ellipsis
+ */
+function getTextPreview(text) {
+  const preview = String(text || '').replace(/\s+/g, ' ').trim();
+  return preview.length > PREVIEW_LENGTH ? preview.substring(0, PREVIEW_LENGTH - 1) + '…' : preview;
+}
+
+/**
+ * Get the node attributes allowed by the selected message columns
+ *
+ * @param {Array<string>} columns - Selected message columns
+ * @returns {Array<Object>} Entries of NODE_ATTRIBUTES
+ */
+function getNodeAttributes(columns) {
+  return NODE_ATTRIBUTES.filter(attribute => !attribute.column || columns.includes(attribute.column));
+}
+
+/**
+ * Check whether an attribute value should be written
+ * Empty strings and missing tree fields (platforms without branching) are omitted.
+ */
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Collect the nodes and edges of a conversation graph
+ * Messages without an ID get a positional one; duplicate IDs are kept once.
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @returns {Object} { nodes: [{ id, message }], edges: [{ source, target }] }
+ */
+function buildGraph(conversation) {
+  const nodes = [];
+  const seen = new Set();
+
+  conversation.messages.forEach((message, position) => {
+    const id = message.message_id || `message-${position}`;
+    if (seen.has(id)) return;
+    seen.add(id);
+    nodes.push({ id, message });
+  });
+
+  const edges = nodes
+    .filter(node => node.message.parent_id && seen.has(node.message.parent_id) && node.message.parent_id !== node.id)
+    .map(node => ({ source: node.message.parent_id, target: node.id }));
+
+  return { nodes, edges };
+}
+
+/**
+ * Generates a GraphML document for a single conversation
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @param {Array<string>} [columns] - Selected message columns (defaults to all)
+ * @returns {string} GraphML document (directed graph)
+ */
+export function generateConversationGraphML(conversation, columns = MESSAGE_COLUMNS) {
+  const { nodes, edges } = buildGraph(conversation);
+  const nodeAttributes = getNodeAttributes(columns);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">'
+  ];
+
+  for (const [name] of GRAPH_ATTRIBUTES) {
+    lines.push(`  <key id="g_${name}" for="graph" attr.name="${name}" attr.type="string"/>`);
+  }
+  for (const { name, type } of nodeAttributes) {
+    lines.push(`  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+  }
+
+  lines.push(`  <graph id="${escapeXML(conversation.conversation_id || 'conversation')}" edgedefault="directed">`);
+
+  for (const [name, read] of GRAPH_ATTRIBUTES) {
+    const value = read(conversation);
+    if (hasValue(value)) {
+      lines.push(`    <data key="g_${name}">${escapeXML(value)}</data>`);
+    }
+  }
+
+  for (const node of nodes) {
+    lines.push(`    <node id="${escapeXML(node.id)}">`);
+    for (const { name, read } of nodeAttributes) {
+      const value = read(node.message);
+      if (hasValue(value)) {
+        lines.push(`      <data key="n_${name}">${escapeXML(value)}</data>`);
+      }
+    }
+    lines.push('    </node>');
+  }
+
+  edges.forEach((edge, position) => {
+    lines.push(`    <edge id="e${position}" source="${escapeXML(edge.source)}" target="${escapeXML(edge.target)}"/>`);
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Quote a value as a DOT string (IDs and attribute values)
+ *
+ * @param {*} value - Value to quote
+ * @returns {string} Double-quoted DOT string
+ */
+function quoteDOT(value) {
+  return '"' + String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r\n|\r|\n/g, '\\n') + '"';
+}
+
+/**
+ * Render a DOT attribute list from [name, value] pairs, skipping empty values
+ */
+function renderDOTAttributes(pairs) {
+  return pairs
+    .filter(([, value]) => hasValue(value))
+    .map(([name, value]) => `${name}=${quoteDOT(value)}`)
+    .join(', ');
+}
+
+/**
+ * Generates a Graphviz DOT document for a single conversation
+ *
+ * Node labels show the role and text preview; messages off the active path
+ * are drawn dashed so abandoned regenerations and edits stand out.
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @param {Array<string>} [columns] - Selected message columns (defaults to all)
+ * @returns {string} DOT document (digraph)
+ */
+export function generateConversationDOT(conversation, columns = MESSAGE_COLUMNS) {
+  const { nodes, edges } = buildGraph(conversation);
+  const nodeAttributes = getNodeAttributes(columns).filter(attribute => attribute.name !== 'label');
+  const title = getConversationDisplayTitle(conversation);
+
+  const graphAttributes = GRAPH_ATTRIBUTES.map(([name, read]) => [name, read(conversation)]);
+  graphAttributes.push(['label', title], ['labelloc', 't'], ['rankdir', 'TB']);
+
+  const lines = [
+    `digraph ${quoteDOT(title)} {`,
+    `  graph [${renderDOTAttributes(graphAttributes)}];`,
+    '  node [shape="box", style="rounded"];'
+  ];
+
+  for (const node of nodes) {
+    const attributes = nodeAttributes.map(({ name, read }) => [name, read(node.message)]);
+    const preview = columns.includes('text') ? getTextPreview(node.message.text) : '';
+    attributes.unshift(['label', preview ? `${getRoleLabel(node.message)}\n${preview}` : getRoleLabel(node.message)]);
+
+    if (node.message.on_active_path === false) {
+      attributes.push(['style', 'rounded,dashed']);
+    }
+
+    lines.push(`  ${quoteDOT(node.id)} [${renderDOTAttributes(attributes)}];`);
+  }
+
+  for (const edge of edges) {
+    lines.push(`  ${quoteDOT(edge.source)} -> ${quoteDOT(edge.target)};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
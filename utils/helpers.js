@@ -85,28 +85,6 @@ function sanitizeTimestamp(rawTimestamp) {
   }
 }
 
-/**
- * Generate filename with timestamp
- * @param {string} prefix - Filename prefix
- * @param {string} extension - File extension (default: 'csv')
- * @param {string} conversationId - Optional conversation ID to include
- * @returns {string} Generated filename
- */
-function generateFilename(prefix = 'export', extension = 'csv', conversationId = null) {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const seconds = String(now.getSeconds()).padStart(2, '0');
-  
-  const timestamp = `${year}-${month}-${day}_${hours}-${minutes}-${seconds}`;
-  const idPart = conversationId ? `_${conversationId.substring(0, 8)}` : '';
-  
-  return `${prefix}${idPart}_${timestamp}.${extension}`;
-}
-
 /**
  * Deep search for object with specific property
  * @param {Object} obj - Object to search
@@ -153,7 +131,6 @@ if (typeof module !== 'undefined' && module.exports) {
     safeGet,
     extractTextContent,
     sanitizeTimestamp,
-    generateFilename,
     deepSearchForProperty
   };
 }
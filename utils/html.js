@@ -0,0 +1,182 @@
+/**
+ * HTML Generation Utility Module
+ *
+ * Renders a normalized conversation (see utils/schema.js) as a single,
+ * self-contained HTML file: inline CSS, chat-bubble layout, collapsible
+ * reasoning and tool messages (and Claude thinking and tool blocks), and a
+ * metadata header.
+ *
+ * All conversation text is HTML-escaped and the document ships a
+ * Content-Security-Policy that blocks scripts, so exported files are
+ * safe to open in any browser.
+ */
+
+import { conversationToMetadataRow } from './schema.js';
+import { formatDisplayTimestamp, getConversationDisplayTitle, getRoleLabel, getMessageSections } from './markdown.js';
+
+/**
+ * Inline stylesheet for exported transcripts
+ */
+const TRANSCRIPT_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 24px 16px; background: #f9f9fb; color: #15141a;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+    font-size: 15px; line-height: 1.5; }
+  .transcript { max-width: 820px; margin: 0 auto; }
+  .transcript__header { margin-bottom: 24px; padding-bottom: 16px; border-bottom: 1px solid #d7d7db; }
+  .transcript__title { margin: 0 0 12px; font-size: 22px; }
+  .transcript__meta { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; font-size: 13px; }
+  .transcript__meta dt { color: #5b5b66; }
+  .transcript__meta dd { margin: 0; word-break: break-all; }
+  .message { display: flex; flex-direction: column; margin: 12px 0; }
+  .message--user { align-items: flex-end; }
+  .message__label { margin-bottom: 4px; font-size: 12px; color: #5b5b66; }
+  .message__bubble { max-width: 85%; padding: 10px 14px; border-radius: 12px; border: 1px solid transparent;
+    white-space: pre-wrap; word-wrap: break-word; }
+  .message--user .message__bubble { background: #0060df; color: #ffffff; border-bottom-right-radius: 4px; }
+  .message--assistant .message__bubble { background: #ffffff; border-color: #d7d7db; border-bottom-left-radius: 4px; }
+  .message--tool .message__bubble { background: #fff4e5; border-color: #ffcc80; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 13px; }
+  .message--system .message__bubble { background: #ededf0; color: #5b5b66; font-size: 13px; }
+  .message--thoughts .message__bubble { background: #f3eefc; border-color: #c9b8f0; color: #3d2a6b; }
+  .message__details { max-width: 85%; }
+  .message__details > summary { cursor: pointer; font-size: 12px; color: #5b5b66; margin-bottom: 4px; }
+  .message__details > .message__bubble { max-width: 100%; }
+  .message__section { margin-top: 6px; }
+  .message__section--tool > .message__bubble { background: #fff4e5; border-color: #ffcc80; color: #15141a;
+    font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 13px; }
+  .message__section--thinking > .message__bubble { background: #f3eefc; border-color: #c9b8f0; color: #3d2a6b; }
+  .message__empty { font-style: italic; color: #6e6e78; }
+  .transcript__footer { margin-top: 32px; font-size: 12px; color: #6e6e78; text-align: center; }
+`;
+
+/**
+ * Escape a value for safe use in HTML text and attribute contexts
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHTML(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the metadata header of a transcript
+ */
+function renderHeader(conversation) {
+  const metadata = conversationToMetadataRow(conversation);
+  const rows = [
+    ['Platform', conversation.platform],
+    ['Conversation ID', conversation.conversation_id],
+    ['Model', conversation.model],
+    ['Created', formatDisplayTimestamp(conversation.created_at)],
+    ['Updated', formatDisplayTimestamp(conversation.updated_at)],
+    ['Messages', `${metadata.num_messages} (user: ${metadata.num_user_messages}, assistant: ${metadata.num_assistant_messages}, tool: ${metadata.num_tool_messages})`]
+  ];
+
+  const items = rows
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`)
+    .join('');
+
+  return `<header class="transcript__header">
+  <h1 class="transcript__title">${escapeHTML(getConversationDisplayTitle(conversation))}</h1>
+  <dl class="transcript__meta">${items}</dl>
+</header>`;
+}
+
+/**
+ * Render the collapsible sections of a message (thinking, tool use, tool result)
+ */
+function renderSections(message) {
+  return getMessageSections(message).map(section => {
+    const kind = section.type === 'thinking' ? 'thinking' : 'tool';
+    const body = section.text ?
+      escapeHTML(section.text) :
+      '<span class="message__empty">(no content)</span>';
+    return `<details class="message__details message__section message__section--${kind}">
+    <summary>${escapeHTML(section.label)}</summary>
+    <div class="message__bubble">${body}</div>
+  </details>`;
+  });
+}
+
+/**
+ * Render one message as a chat bubble
+ * Reasoning (ChatGPT thoughts) and tool messages are collapsed by default,
+ * as are the thinking and tool blocks of a message.
+ */
+function renderMessage(message) {
+  const isThoughts = message.content_type === 'thoughts';
+  const isCollapsible = isThoughts || message.role === 'tool';
+  const roleClass = /^[a-z]+$/.test(message.role) ? message.role : 'unknown';
+  const classes = ['message', `message--${roleClass}`];
+  if (isThoughts) {
+    classes.push('message--thoughts');
+  }
+
+  const timestamp = formatDisplayTimestamp(message.created_at);
+  const label = timestamp ? `${getRoleLabel(message)} · ${timestamp}` : getRoleLabel(message);
+  const sections = renderSections(message);
+  const body = message.text ?
+    escapeHTML(message.text) :
+    '<span class="message__empty">(no text content)</span>';
+  const bubble = `<div class="message__bubble">${body}</div>`;
+  // Messages made only of tool or thinking blocks show just their sections
+  const content = [...(message.text || sections.length === 0 ? [bubble] : []), ...sections].join('\n  ');
+
+  if (isCollapsible) {
+    return `<div class="${classes.join(' ')}">
+  <details class="message__details">
+    <summary>${escapeHTML(label)}</summary>
+    ${bubble}
+  </details>${sections.map(section => `\n  ${section}`).join('')}
+</div>`;
+  }
+
+  return `<div class="${classes.join(' ')}">
+  <div class="message__label">${escapeHTML(label)}</div>
+  ${content}
+</div>`;
+}
+
+/**
+ * Generates a self-contained HTML transcript for a single conversation
+ *
+ * Hidden messages without text (e.g., ChatGPT's system root) are skipped.
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @returns {string} HTML document
+ */
+export function generateConversationHTML(conversation) {
+  const messages = conversation.messages
+    .filter(message => !(message.is_visually_hidden && !message.text))
+    .map(renderMessage)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(getConversationDisplayTitle(conversation))}</title>
+<style>${TRANSCRIPT_CSS}</style>
+</head>
+<body>
+<main class="transcript">
+${renderHeader(conversation)}
+${messages}
+<footer class="transcript__footer">Exported with AI Chat Exporter on ${escapeHTML(formatDisplayTimestamp(new Date().toISOString()))}</footer>
+</main>
+</body>
+</html>
+`;
+}
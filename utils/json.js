@@ -0,0 +1,63 @@
+/**
+ * JSON Generation Utility Module
+ *
+ * Serializes normalized conversations (see utils/schema.js) for the
+ * "JSON (normalized)" export format. Each file holds one conversation: its
+ * metadata plus an ordered message array with the platform's original
+ * nested content kept on every content block.
+ *
+ * Message fields follow the selected message columns; content blocks and
+ * attachments are not columns and are always included. `artifacts` lists
+ * every artifact version (rows of utils/artifacts.js, files in the bundle).
+ */
+
+import { MESSAGE_COLUMNS, pickMessageFields } from './schema.js';
+import { collectArtifacts } from './artifacts.js';
+
+/**
+ * Version of the exported document layout.
+ * Bump when fields are renamed or removed so analysis scripts can branch on it.
+ */
+export const JSON_SCHEMA_VERSION = '2.0';
+
+/**
+ * Generates the JSON export for a single conversation
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @param {Array<string>} [columns] - Selected message columns (defaults to all)
+ * @returns {string} Pretty-printed JSON string
+ */
+export function generateConversationJSON(conversation, columns = MESSAGE_COLUMNS) {
+  const { messages, ...conversationFields } = conversation;
+
+  const output = {
+    schema_version: JSON_SCHEMA_VERSION,
+    exported_at: new Date().toISOString(),
+    conversation: conversationFields,
+    messages: messages.map(message => pickMessageFields(message, columns)),
+    artifacts: collectArtifacts([conversation]).rows
+  };
+
+  return JSON.stringify(output, null, 2);
+}
+
+/**
+ * Generates one JSON export for several conversations (bulk export)
+ *
+ * @param {Array<Object>} conversations - Normalized conversations
+ * @param {Array<string>} [columns] - Selected message columns (defaults to all)
+ * @returns {string} Pretty-printed JSON string
+ */
+export function generateConversationsJSON(conversations, columns = MESSAGE_COLUMNS) {
+  const output = {
+    schema_version: JSON_SCHEMA_VERSION,
+    exported_at: new Date().toISOString(),
+    conversations: conversations.map(({ messages, ...conversationFields }) => ({
+      conversation: conversationFields,
+      messages: messages.map(message => pickMessageFields(message, columns))
+    })),
+    artifacts: collectArtifacts(conversations).rows
+  };
+
+  return JSON.stringify(output, null, 2);
+}
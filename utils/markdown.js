@@ -0,0 +1,184 @@
+/**
+ * Markdown Generation Utility Module
+ *
+ * Renders a normalized conversation (see utils/schema.js) as a readable
+ * transcript: title header, metadata list and role-labelled turns.
+ * Message text is emitted verbatim so code fences and other markdown
+ * produced by the model survive unchanged. Thinking, tool call and tool
+ * result blocks follow their message in collapsible <details> sections.
+ */
+
+/**
+ * Display labels for unified roles
+ */
+const ROLE_LABELS = {
+  user: 'User',
+  assistant: 'Assistant',
+  tool: 'Tool',
+  system: 'System'
+};
+
+/**
+ * Content block types shown as collapsible sections below the message text
+ * (Claude's extended thinking, tool calls and tool results)
+ */
+const SECTION_BLOCK_TYPES = ['thinking', 'tool_use', 'tool_result'];
+
+/**
+ * Format an ISO 8601 timestamp for display (UTC, second precision)
+ *
+ * @param {string} isoTimestamp - ISO 8601 timestamp
+ * @returns {string} Timestamp like "2025-01-01 12:00:00 UTC", or empty string
+ */
+export function formatDisplayTimestamp(isoTimestamp) {
+  if (!isoTimestamp) {
+    return '';
+  }
+  return isoTimestamp.replace('T', ' ').replace(/\.\d+Z$|Z$/, '') + ' UTC';
+}
+
+/**
+ * Build the title of a conversation transcript
+ * Falls back to the conversation id when the platform has no title (Copilot).
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @returns {string} Transcript title
+ */
+export function getConversationDisplayTitle(conversation) {
+  if (conversation.title) {
+    return conversation.title;
+  }
+  return conversation.conversation_id ? `Conversation ${conversation.conversation_id}` : 'Untitled Conversation';
+}
+
+/**
+ * Build the role label of a message heading
+ *
+ * @param {Object} message - Normalized message
+ * @returns {string} Label such as "Assistant" or "Tool (python)"
+ */
+export function getRoleLabel(message) {
+  let label = ROLE_LABELS[message.role] || message.role || 'Unknown';
+  if (message.role === 'tool' && message.tool_name) {
+    label += ` (${message.tool_name})`;
+  }
+  if (message.content_type === 'thoughts') {
+    label += ' (thoughts)';
+  }
+  return label;
+}
+
+/**
+ * Collect the collapsible sections of a message from its content blocks
+ * Thinking already merged into the message text (mergeThinking preference)
+ * is not repeated.
+ *
+ * @param {Object} message - Normalized message
+ * @returns {Array<Object>} Sections as { type, label, text, isCode }
+ */
+export function getMessageSections(message) {
+  return message.blocks
+    .filter(block => SECTION_BLOCK_TYPES.includes(block.type))
+    .filter(block => !(block.type === 'thinking' && (!block.text || message.text.includes(block.text))))
+    .map(block => {
+      const toolLabel = block.tool_name ? ` (${block.tool_name})` : '';
+      switch (block.type) {
+        case 'thinking':
+          return { type: block.type, label: 'Thinking', text: block.text, isCode: false };
+        case 'tool_use':
+          return {
+            type: block.type,
+            label: `Tool use${toolLabel}`,
+            text: block.input === null ? '' : JSON.stringify(block.input, null, 2),
+            isCode: true
+          };
+        default:
+          return {
+            type: block.type,
+            label: `Tool result${toolLabel}${block.is_error ? ' · error' : ''}`,
+            text: block.text,
+            isCode: true
+          };
+      }
+    });
+}
+
+/**
+ * Wrap text in a code fence longer than any backtick run inside it
+ *
+ * @param {string} text - Code block content
+ * @returns {string} Fenced code block
+ */
+function fenceCode(text) {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}\n${text}\n${fence}`;
+}
+
+/**
+ * Render a collapsible section as an HTML details element inside Markdown
+ *
+ * @param {Object} section - Section from getMessageSections
+ * @returns {string} Markdown block
+ */
+function renderSection(section) {
+  const summary = section.label.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  let body = '_(no content)_';
+  if (section.text) {
+    body = section.isCode ? fenceCode(section.text) : section.text;
+  }
+  return `<details>\n<summary>${summary}</summary>\n\n${body}\n\n</details>`;
+}
+
+/**
+ * Escape characters that would change the meaning of a single-line heading
+ *
+ * @param {string} value - Heading text
+ * @returns {string} Text safe to place after "# "
+ */
+function escapeHeading(value) {
+  return String(value).replace(/[\r\n]+/g, ' ').replace(/([\\`*_[\]#<>])/g, '\\$1');
+}
+
+/**
+ * Generates a Markdown transcript for a single conversation
+ *
+ * Hidden messages without text (e.g., ChatGPT's system root) are skipped.
+ *
+ * @param {Object} conversation - Normalized conversation
+ * @returns {string} Markdown document
+ */
+export function generateConversationMarkdown(conversation) {
+  const lines = [`# ${escapeHeading(getConversationDisplayTitle(conversation))}`, ''];
+
+  const details = [
+    ['Platform', conversation.platform],
+    ['Conversation ID', conversation.conversation_id],
+    ['Model', conversation.model],
+    ['Created', formatDisplayTimestamp(conversation.created_at)],
+    ['Updated', formatDisplayTimestamp(conversation.updated_at)]
+  ];
+
+  for (const [label, value] of details) {
+    if (value) {
+      lines.push(`- **${label}:** ${value}`);
+    }
+  }
+
+  for (const message of conversation.messages) {
+    if (message.is_visually_hidden && !message.text) {
+      continue;
+    }
+
+    const timestamp = formatDisplayTimestamp(message.created_at);
+    const heading = timestamp ? `${getRoleLabel(message)} · ${timestamp}` : getRoleLabel(message);
+
+    const sections = getMessageSections(message).map(renderSection);
+    const body = message.text || sections.length === 0 ? [message.text || '_(no text content)_'] : [];
+
+    lines.push('', '---', '', `### ${escapeHeading(heading)}`, '');
+    lines.push([...body, ...sections].join('\n\n'));
+  }
+
+  return lines.join('\n') + '\n';
+}
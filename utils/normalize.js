@@ -0,0 +1,58 @@
+/**
+ * Conversation Normalization Module
+ *
+ * Routes raw platform payloads to the matching platform normalizer.
+ * Every exporter consumes the result (see utils/schema.js).
+ */
+
+import { normalizeChatGPTConversation } from '../platforms/chatgpt/normalizer.js';
+import { normalizeClaudeConversation, normalizeClaudeProject } from '../platforms/claude/normalizer.js';
+import { normalizeCopilotConversation } from '../platforms/copilot/normalizer.js';
+
+/**
+ * Platform normalizers, keyed by platform id (see EXTENSION_CONFIG.platforms)
+ */
+const NORMALIZERS = {
+  chatgpt: normalizeChatGPTConversation,
+  claude: normalizeClaudeConversation,
+  copilot: normalizeCopilotConversation
+};
+
+/**
+ * Normalize a raw conversation payload into the shared schema
+ *
+ * @param {string} platform - Platform identifier
+ * @param {Object} conversationData - Raw conversation JSON captured from the platform
+ * @returns {Object} Normalized conversation
+ * @throws {Error} If no normalizer exists for the platform or the data is invalid
+ */
+export function normalizeConversation(platform, conversationData) {
+  const normalizer = NORMALIZERS[platform];
+  if (!normalizer) {
+    throw new Error(`No normalizer found for platform: ${platform}`);
+  }
+  return normalizer(conversationData);
+}
+
+/**
+ * Project normalizers, keyed by platform id (platforms with supportsProjectExport)
+ */
+const PROJECT_NORMALIZERS = {
+  claude: normalizeClaudeProject
+};
+
+/**
+ * Normalize a raw project payload (project exports)
+ *
+ * @param {string} platform - Platform identifier
+ * @param {Object} projectData - Raw project JSON captured from the platform
+ * @returns {Object} Normalized project (see utils/project.js)
+ * @throws {Error} If the platform has no projects or the data is invalid
+ */
+export function normalizeProject(platform, projectData) {
+  const normalizer = PROJECT_NORMALIZERS[platform];
+  if (!normalizer) {
+    throw new Error(`No project normalizer found for platform: ${platform}`);
+  }
+  return normalizer(projectData);
+}
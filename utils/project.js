@@ -0,0 +1,150 @@
+/**
+ * Project Module
+ *
+ * Shared schema for projects: a set of conversations that share custom
+ * instructions and knowledge documents (Claude projects). Project exports
+ * add a project table, a knowledge documents table and one file per
+ * knowledge document, e.g. `knowledge/interview-guide.md`; conversations
+ * link to their project through project_uuid in the metadata table.
+ */
+
+import { toISOTimestamp } from './schema.js';
+import { sanitizeFilenamePart } from './filename.js';
+
+/**
+ * Project columns (project CSV, one row)
+ */
+export const PROJECT_COLUMNS = [
+  'platform',
+  'project_id',
+  'name',
+  'description',
+  'instructions',
+  'is_private',
+  'created_at',
+  'updated_at',
+  'knowledge_document_count',
+  'conversation_count'
+];
+
+/**
+ * Knowledge document columns (knowledge CSV)
+ */
+export const KNOWLEDGE_COLUMNS = [
+  'platform',
+  'project_id',
+  'document_id',
+  'file_name',
+  'created_at',
+  'content_length',
+  'export_file'
+];
+
+/**
+ * Folder of the knowledge document files inside the bundle
+ */
+const KNOWLEDGE_FOLDER = 'knowledge';
+
+/**
+ * Create a normalized knowledge document
+ * @param {Object} fields - Document fields
+ * @returns {Object} Document with defaults applied
+ */
+export function createKnowledgeDocument(fields = {}) {
+  const content = typeof fields.content === 'string' ? fields.content : '';
+  return {
+    document_id: fields.document_id || '',
+    file_name: fields.file_name || '',
+    created_at: toISOTimestamp(fields.created_at),
+    content_length: content.length,
+    content
+  };
+}
+
+/**
+ * Create a normalized project
+ * @param {Object} fields - Project fields
+ * @param {string} fields.instructions - Custom instructions shared by the conversations
+ * @param {Array<Object>} fields.documents - Knowledge documents (createKnowledgeDocument)
+ * @returns {Object} Project with defaults applied
+ */
+export function createProject(fields = {}) {
+  return {
+    platform: fields.platform || '',
+    project_id: fields.project_id || '',
+    name: fields.name || '',
+    description: fields.description || '',
+    instructions: fields.instructions || '',
+    is_private: typeof fields.is_private === 'boolean' ? fields.is_private : '',
+    created_at: toISOTimestamp(fields.created_at),
+    updated_at: toISOTimestamp(fields.updated_at),
+    documents: Array.isArray(fields.documents) ? fields.documents : []
+  };
+}
+
+/**
+ * Flatten a project into its table row
+ * @param {Object} project - Normalized project
+ * @param {Array<Object>} conversations - Exported conversations of the project
+ * @returns {Object} Row keyed by PROJECT_COLUMNS
+ */
+export function projectToRow(project, conversations) {
+  return {
+    platform: project.platform,
+    project_id: project.project_id,
+    name: project.name,
+    description: project.description,
+    instructions: project.instructions,
+    is_private: project.is_private,
+    created_at: project.created_at,
+    updated_at: project.updated_at,
+    knowledge_document_count: project.documents.length,
+    conversation_count: conversations.length
+  };
+}
+
+/**
+ * Collect the knowledge document files and table rows of a project
+ * Documents without content (e.g. removed by the privacy preference) are
+ * listed without a file.
+ *
+ * @param {Object} project - Normalized project
+ * @returns {Object} { rows, files }: rows keyed by KNOWLEDGE_COLUMNS and files
+ *   as { path, content } with paths relative to the bundle
+ */
+export function collectKnowledgeDocuments(project) {
+  const rows = [];
+  const files = [];
+  const usedPaths = new Set();
+
+  for (const document of project.documents) {
+    let path = '';
+
+    if (document.content) {
+      const name = sanitizeFilenamePart(document.file_name) ||
+        `${sanitizeFilenamePart(document.document_id) || 'document'}.txt`;
+      const dot = name.lastIndexOf('.');
+      const stem = dot > 0 ? name.substring(0, dot) : name;
+      const extension = dot > 0 ? name.substring(dot) : '';
+      path = `${KNOWLEDGE_FOLDER}/${name}`;
+      // Documents with the same name, or names that only differ in removed characters
+      for (let counter = 2; usedPaths.has(path.toLowerCase()); counter++) {
+        path = `${KNOWLEDGE_FOLDER}/${stem}_${counter}${extension}`;
+      }
+      usedPaths.add(path.toLowerCase());
+      files.push({ path, content: document.content });
+    }
+
+    rows.push({
+      platform: project.platform,
+      project_id: project.project_id,
+      document_id: document.document_id,
+      file_name: document.file_name,
+      created_at: document.created_at,
+      content_length: document.content_length,
+      export_file: path
+    });
+  }
+
+  return { rows, files };
+}
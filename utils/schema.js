@@ -0,0 +1,464 @@
+/**
+ * Normalized Conversation Schema
+ *
+ * Cross-platform model that every platform adapter maps into:
+ * - Conversation: conversation-level fields plus ordered messages
+ * - Message: one turn, with unified role names and ISO 8601 timestamps
+ * - ContentBlock: one nested content part/block, original data kept
+ * - Attachment: one uploaded file or image referenced by a message
+ *
+ * All exporters read from this model, so column names are identical
+ * across ChatGPT, Claude and Copilot exports.
+ */
+
+/**
+ * Unified message roles
+ */
+export const ROLES = {
+  USER: 'user',
+  ASSISTANT: 'assistant',
+  TOOL: 'tool',
+  SYSTEM: 'system'
+};
+
+/**
+ * Conversation-level columns (metadata CSV)
+ */
+export const CONVERSATION_COLUMNS = [
+  'platform',
+  'conversation_id',
+  'title',
+  'created_at',
+  'updated_at',
+  'model',
+  'num_messages',
+  'num_user_messages',
+  'num_assistant_messages',
+  'num_tool_messages'
+];
+
+/**
+ * Message-level columns (messages CSV)
+ */
+export const MESSAGE_COLUMNS = [
+  'platform',
+  'conversation_id',
+  'conversation_title',
+  'message_id',
+  'parent_id',
+  'index',
+  'depth',
+  'sibling_index',
+  'sibling_count',
+  'branch_id',
+  'on_active_path',
+  'alternative_type',
+  'role',
+  'content_type',
+  'text',
+  'created_at',
+  'updated_at',
+  'model',
+  'status',
+  'stop_reason',
+  'end_turn',
+  'truncated',
+  'is_visually_hidden',
+  'has_image',
+  'image_ids',
+  'has_attachment',
+  'attachment_count',
+  'tool_name',
+  'platform_metadata'
+];
+
+/**
+ * Attachment-level columns (attachments CSV)
+ */
+export const ATTACHMENT_COLUMNS = [
+  'platform',
+  'conversation_id',
+  'message_id',
+  'attachment_id',
+  'source',
+  'file_name',
+  'file_type',
+  'file_size',
+  'extracted_content'
+];
+
+/**
+ * Content block columns (blocks CSV, platforms with supportsContentBlocks)
+ */
+export const BLOCK_COLUMNS = [
+  'platform',
+  'conversation_id',
+  'message_id',
+  'role',
+  'block_index',
+  'block_type',
+  'tool_name',
+  'tool_use_id',
+  'tool_input',
+  'is_error',
+  'text',
+  'started_at',
+  'stopped_at'
+];
+
+/**
+ * Timestamp columns of the metadata, message, block and exchange rows (utils/exchanges.js)
+ */
+export const TIMESTAMP_COLUMNS = [
+  'created_at',
+  'updated_at',
+  'started_at',
+  'stopped_at',
+  'prompt_created_at',
+  'response_created_at',
+  'response_completed_at'
+];
+
+/**
+ * Keep the known message columns of a selection, in MESSAGE_COLUMNS order
+ * @param {Array<string>} [columns] - Selected column names
+ * @returns {Array<string>} Selected columns, or every message column when none are valid
+ */
+export function resolveMessageColumns(columns) {
+  if (!Array.isArray(columns)) {
+    return MESSAGE_COLUMNS;
+  }
+  const selected = MESSAGE_COLUMNS.filter(column => columns.includes(column));
+  return selected.length > 0 ? selected : MESSAGE_COLUMNS;
+}
+
+/**
+ * Drop the message fields whose column is not selected
+ * Fields that are not columns (content blocks, attachments) are kept.
+ * @param {Object} message - Normalized message
+ * @param {Array<string>} columns - Selected message columns
+ * @returns {Object} Message with only the selected column fields
+ */
+export function pickMessageFields(message, columns) {
+  const picked = {};
+  for (const [key, value] of Object.entries(message)) {
+    if (!MESSAGE_COLUMNS.includes(key) || columns.includes(key)) {
+      picked[key] = value;
+    }
+  }
+  return picked;
+}
+
+/**
+ * Convert a platform timestamp to ISO 8601
+ * Accepts unix seconds (ChatGPT floats), unix milliseconds and date strings.
+ * @param {*} value - Raw timestamp
+ * @returns {string} ISO 8601 string, or empty string if missing/invalid
+ */
+export function toISOTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  let date;
+  if (typeof value === 'number') {
+    // Values below 1e11 are unix seconds (covers dates up to year 5138)
+    date = new Date(value < 1e11 ? value * 1000 : value);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Format an ISO 8601 timestamp for a text export
+ * @param {string} isoTimestamp - ISO 8601 timestamp (UTC)
+ * @param {string} format - 'iso' (unchanged), 'local' (YYYY-MM-DD HH:MM:SS in the
+ *   browser's time zone) or 'unix' (seconds, with milliseconds as decimals)
+ * @returns {string|number} Formatted timestamp, or the input when empty or invalid
+ */
+export function formatTimestamp(isoTimestamp, format) {
+  if (!isoTimestamp || format === 'iso') {
+    return isoTimestamp;
+  }
+
+  const date = new Date(isoTimestamp);
+  if (isNaN(date.getTime())) {
+    return isoTimestamp;
+  }
+
+  if (format === 'unix') {
+    return date.getTime() / 1000;
+  }
+
+  if (format === 'local') {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+      `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  }
+
+  return isoTimestamp;
+}
+
+/**
+ * Create a normalized conversation
+ * @param {Object} fields - Conversation fields
+ * @returns {Object} Conversation with defaults applied
+ */
+export function createConversation(fields = {}) {
+  return {
+    platform: fields.platform || '',
+    conversation_id: fields.conversation_id || '',
+    title: fields.title || '',
+    created_at: toISOTimestamp(fields.created_at),
+    updated_at: toISOTimestamp(fields.updated_at),
+    model: fields.model || '',
+    metadata: fields.metadata || {},
+    messages: Array.isArray(fields.messages) ? fields.messages : []
+  };
+}
+
+/**
+ * Create a normalized message
+ * Tree fields (depth, sibling_index, sibling_count, branch_id, on_active_path,
+ * alternative_type) are filled by utils/tree.js for platforms with branching;
+ * they stay empty elsewhere.
+ * @param {Object} fields - Message fields
+ * @returns {Object} Message with defaults applied
+ */
+export function createMessage(fields = {}) {
+  return {
+    message_id: fields.message_id || '',
+    parent_id: fields.parent_id || '',
+    index: Number.isInteger(fields.index) ? fields.index : null,
+    depth: Number.isInteger(fields.depth) ? fields.depth : null,
+    sibling_index: Number.isInteger(fields.sibling_index) ? fields.sibling_index : null,
+    sibling_count: Number.isInteger(fields.sibling_count) ? fields.sibling_count : null,
+    branch_id: fields.branch_id || '',
+    on_active_path: typeof fields.on_active_path === 'boolean' ? fields.on_active_path : null,
+    alternative_type: fields.alternative_type || '',
+    role: fields.role || '',
+    content_type: fields.content_type || '',
+    text: fields.text || '',
+    created_at: toISOTimestamp(fields.created_at),
+    updated_at: toISOTimestamp(fields.updated_at),
+    model: fields.model || '',
+    status: fields.status || '',
+    stop_reason: fields.stop_reason || '',
+    end_turn: fields.end_turn || false,
+    truncated: fields.truncated || false,
+    is_visually_hidden: fields.is_visually_hidden || false,
+    tool_name: fields.tool_name || '',
+    blocks: Array.isArray(fields.blocks) ? fields.blocks : [],
+    attachments: Array.isArray(fields.attachments) ? fields.attachments : [],
+    platform_metadata: fields.platform_metadata || {}
+  };
+}
+
+/**
+ * Create a normalized content block
+ * @param {Object} fields - Block fields
+ * @param {string} fields.type - Block type (e.g., 'text', 'thinking', 'tool_use')
+ * @param {string} fields.text - Plain text carried by the block, if any (the
+ *   reasoning of a thinking block, the output of a tool result)
+ * @param {string} [fields.tool_name] - Tool called or answering (tool blocks)
+ * @param {string} [fields.tool_use_id] - ID linking a tool call to its result
+ * @param {*} [fields.input] - Input of a tool call
+ * @param {boolean} [fields.is_error] - Whether a tool result is an error
+ * @param {*} [fields.started_at] - When the block started streaming
+ * @param {*} [fields.stopped_at] - When the block stopped streaming
+ * @param {*} fields.data - The original platform block, kept unmodified
+ * @returns {Object} Content block
+ */
+export function createContentBlock(fields = {}) {
+  return {
+    type: fields.type || 'unknown',
+    text: fields.text || '',
+    tool_name: fields.tool_name || '',
+    tool_use_id: fields.tool_use_id || '',
+    input: fields.input === undefined ? null : fields.input,
+    is_error: fields.is_error || false,
+    started_at: toISOTimestamp(fields.started_at),
+    stopped_at: toISOTimestamp(fields.stopped_at),
+    data: fields.data === undefined ? null : fields.data
+  };
+}
+
+/**
+ * Create a normalized attachment
+ * @param {Object} fields - Attachment fields
+ * @returns {Object} Attachment with defaults applied
+ */
+export function createAttachment(fields = {}) {
+  return {
+    attachment_id: fields.attachment_id || '',
+    source: fields.source || '',
+    file_name: fields.file_name || '',
+    file_type: fields.file_type || '',
+    file_size: fields.file_size !== undefined && fields.file_size !== null ? fields.file_size : '',
+    extracted_content: fields.extracted_content || ''
+  };
+}
+
+/**
+ * Count messages in a conversation by role
+ * @param {Object} conversation - Normalized conversation
+ * @param {string} role - Role to count
+ * @returns {number} Number of messages with that role
+ */
+function countByRole(conversation, role) {
+  return conversation.messages.filter(msg => msg.role === role).length;
+}
+
+/**
+ * Flatten a platform-specific conversation field for a metadata row
+ * Objects (e.g. Claude settings) become JSON, empty objects an empty string.
+ */
+function flattenMetadataValue(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  return Object.keys(value).length > 0 ? JSON.stringify(value) : '';
+}
+
+/**
+ * Get the columns of a set of metadata rows
+ * The shared columns come first, then every platform field found in any row,
+ * in first-seen order, so merged exports keep fields only some conversations have.
+ * @param {Array<Object>} rows - Rows from conversationToMetadataRow
+ * @returns {Array<string>} Column names
+ */
+export function collectMetadataColumns(rows) {
+  const columns = new Set(CONVERSATION_COLUMNS);
+  for (const row of rows) {
+    Object.keys(row).forEach(key => columns.add(key));
+  }
+  return Array.from(columns);
+}
+
+/**
+ * Flatten a normalized conversation into a metadata row
+ * Platform-specific conversation fields are appended after the shared columns.
+ * @param {Object} conversation - Normalized conversation
+ * @returns {Object} Row keyed by CONVERSATION_COLUMNS plus platform fields
+ */
+export function conversationToMetadataRow(conversation) {
+  const platformFields = {};
+  for (const [key, value] of Object.entries(conversation.metadata)) {
+    platformFields[key] = flattenMetadataValue(value);
+  }
+
+  return {
+    platform: conversation.platform,
+    conversation_id: conversation.conversation_id,
+    title: conversation.title,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+    model: conversation.model,
+    num_messages: conversation.messages.length,
+    num_user_messages: countByRole(conversation, ROLES.USER),
+    num_assistant_messages: countByRole(conversation, ROLES.ASSISTANT),
+    num_tool_messages: countByRole(conversation, ROLES.TOOL),
+    ...platformFields
+  };
+}
+
+/**
+ * Flatten the messages of a normalized conversation into CSV rows
+ * @param {Object} conversation - Normalized conversation
+ * @returns {Array<Object>} Rows keyed by MESSAGE_COLUMNS
+ */
+export function conversationToMessageRows(conversation) {
+  return conversation.messages.map(msg => {
+    const images = msg.attachments.filter(att => att.source === 'image');
+    const platformMetadata = Object.keys(msg.platform_metadata).length > 0 ?
+      JSON.stringify(msg.platform_metadata) : '';
+
+    return {
+      platform: conversation.platform,
+      conversation_id: conversation.conversation_id,
+      conversation_title: conversation.title,
+      message_id: msg.message_id,
+      parent_id: msg.parent_id,
+      index: msg.index,
+      depth: msg.depth,
+      sibling_index: msg.sibling_index,
+      sibling_count: msg.sibling_count,
+      branch_id: msg.branch_id,
+      on_active_path: msg.on_active_path,
+      alternative_type: msg.alternative_type,
+      role: msg.role,
+      content_type: msg.content_type,
+      text: msg.text,
+      created_at: msg.created_at,
+      updated_at: msg.updated_at,
+      model: msg.model,
+      status: msg.status,
+      stop_reason: msg.stop_reason,
+      end_turn: msg.end_turn,
+      truncated: msg.truncated,
+      is_visually_hidden: msg.is_visually_hidden,
+      has_image: images.length > 0,
+      image_ids: images.map(att => att.attachment_id).join(','),
+      has_attachment: msg.attachments.length > 0,
+      attachment_count: msg.attachments.length,
+      tool_name: msg.tool_name,
+      platform_metadata: platformMetadata
+    };
+  });
+}
+
+/**
+ * Flatten the attachments of a normalized conversation into CSV rows
+ * @param {Object} conversation - Normalized conversation
+ * @returns {Array<Object>} Rows keyed by ATTACHMENT_COLUMNS
+ */
+export function conversationToAttachmentRows(conversation) {
+  const rows = [];
+  for (const msg of conversation.messages) {
+    for (const att of msg.attachments) {
+      rows.push({
+        platform: conversation.platform,
+        conversation_id: conversation.conversation_id,
+        message_id: msg.message_id,
+        attachment_id: att.attachment_id,
+        source: att.source,
+        file_name: att.file_name,
+        file_type: att.file_type,
+        file_size: att.file_size,
+        extracted_content: att.extracted_content
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Flatten the content blocks of a normalized conversation into CSV rows
+ * @param {Object} conversation - Normalized conversation
+ * @returns {Array<Object>} Rows keyed by BLOCK_COLUMNS
+ */
+export function conversationToBlockRows(conversation) {
+  const rows = [];
+  for (const msg of conversation.messages) {
+    msg.blocks.forEach((block, blockIndex) => {
+      rows.push({
+        platform: conversation.platform,
+        conversation_id: conversation.conversation_id,
+        message_id: msg.message_id,
+        role: msg.role,
+        block_index: blockIndex,
+        block_type: block.type,
+        tool_name: block.tool_name,
+        tool_use_id: block.tool_use_id,
+        tool_input: block.input === null ? '' : JSON.stringify(block.input),
+        is_error: block.is_error,
+        text: block.text,
+        started_at: block.started_at,
+        stopped_at: block.stopped_at
+      });
+    });
+  }
+  return rows;
+}
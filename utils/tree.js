@@ -0,0 +1,158 @@
+/**
+ * Message Tree Module
+ *
+ * Rebuilds the branching structure of a conversation from message parent
+ * links. ChatGPT and Claude keep every regenerated answer and every edited
+ * prompt as a sibling node under the same parent; only one path through the
+ * tree is shown in the UI (the active path, ending at the conversation's
+ * current node).
+ *
+ * annotateMessageTree orders messages depth-first and adds to each message:
+ * - depth: number of ancestors in the exported tree (roots are 0)
+ * - sibling_index / sibling_count: position among messages sharing the parent
+ * - branch_id: message_id of the first message of the branch; the first child
+ *   continues its parent's branch, every later sibling starts a new branch
+ * - on_active_path: whether the message is on the path to the active leaf
+ * - alternative_type: 'original', 'regeneration', 'edit' or 'alternative'
+ *   when the message has siblings, otherwise empty
+ *
+ * selectActiveThread reduces an annotated conversation to the active path.
+ */
+
+import { ROLES } from './schema.js';
+
+/**
+ * Alternative types for messages that have siblings
+ */
+export const ALTERNATIVE_TYPES = {
+  ORIGINAL: 'original',
+  REGENERATION: 'regeneration',
+  EDIT: 'edit',
+  ALTERNATIVE: 'alternative'
+};
+
+/**
+ * Classify a message among its siblings
+ * Later assistant siblings are regenerated answers; later user siblings are edited prompts.
+ * @returns {string} Alternative type, or empty string for messages without siblings
+ */
+function getAlternativeType(message, siblingIndex, siblingCount) {
+  if (siblingCount < 2) return '';
+  if (siblingIndex === 0) return ALTERNATIVE_TYPES.ORIGINAL;
+  if (message.role === ROLES.ASSISTANT) return ALTERNATIVE_TYPES.REGENERATION;
+  if (message.role === ROLES.USER) return ALTERNATIVE_TYPES.EDIT;
+  return ALTERNATIVE_TYPES.ALTERNATIVE;
+}
+
+/**
+ * Collect the message IDs on the path from the active leaf back to its root
+ * Without a known leaf, the path follows the latest child from the latest root.
+ * @returns {Set<string>} Message IDs on the active path
+ */
+function collectActivePath(byId, children, roots, activeLeafId) {
+  let leafId = activeLeafId && byId.has(activeLeafId) ? activeLeafId : null;
+
+  if (!leafId && roots.length > 0) {
+    let node = roots[roots.length - 1];
+    while (children.has(node.message_id)) {
+      const nodeChildren = children.get(node.message_id);
+      node = nodeChildren[nodeChildren.length - 1];
+    }
+    leafId = node.message_id;
+  }
+
+  const path = new Set();
+  while (leafId && byId.has(leafId) && !path.has(leafId)) {
+    path.add(leafId);
+    leafId = byId.get(leafId).parent_id;
+  }
+  return path;
+}
+
+/**
+ * Order messages depth-first and annotate each with its tree position
+ * Children keep their order in the input array. Messages whose parent is not
+ * in the list are treated as roots.
+ * @param {Array<Object>} messages - Normalized messages with message_id and parent_id
+ * @param {string} [activeLeafId] - message_id of the active leaf (e.g. ChatGPT current_node)
+ * @returns {Array<Object>} New message objects in depth-first order with index reassigned
+ */
+export function annotateMessageTree(messages, activeLeafId) {
+  const byId = new Map();
+  messages.forEach(message => {
+    if (message.message_id && !byId.has(message.message_id)) {
+      byId.set(message.message_id, message);
+    }
+  });
+
+  const children = new Map();
+  const roots = [];
+  messages.forEach(message => {
+    const parentId = message.parent_id;
+    if (parentId && parentId !== message.message_id && byId.has(parentId)) {
+      if (!children.has(parentId)) {
+        children.set(parentId, []);
+      }
+      children.get(parentId).push(message);
+    } else {
+      roots.push(message);
+    }
+  });
+
+  const activePath = collectActivePath(byId, children, roots, activeLeafId);
+  const ordered = [];
+  const visited = new Set();
+
+  // Iterative depth-first walk (long conversations would overflow recursion)
+  const stack = [];
+  const pushSiblings = (siblings, depth, parentBranchId) => {
+    for (let i = siblings.length - 1; i >= 0; i--) {
+      stack.push({ message: siblings[i], depth, siblingIndex: i, siblingCount: siblings.length, parentBranchId });
+    }
+  };
+  pushSiblings(roots, 0, null);
+
+  while (stack.length > 0 || visited.size < messages.length) {
+    // Messages caught in a parent cycle are never reached from a root; keep them as roots
+    if (stack.length === 0) {
+      pushSiblings([messages.find(candidate => !visited.has(candidate))], 0, null);
+    }
+
+    const { message, depth, siblingIndex, siblingCount, parentBranchId } = stack.pop();
+    if (visited.has(message)) continue;
+    visited.add(message);
+
+    const branchId = siblingIndex === 0 && parentBranchId ? parentBranchId : message.message_id;
+
+    ordered.push({
+      ...message,
+      index: ordered.length,
+      depth: depth,
+      sibling_index: siblingIndex,
+      sibling_count: siblingCount,
+      branch_id: branchId,
+      on_active_path: activePath.has(message.message_id),
+      alternative_type: getAlternativeType(message, siblingIndex, siblingCount)
+    });
+
+    pushSiblings(children.get(message.message_id) || [], depth + 1, branchId);
+  }
+
+  return ordered;
+}
+
+/**
+ * Keep only the thread shown in the UI, ordered root-to-leaf
+ * Drops abandoned branches and hidden messages (e.g. the ChatGPT system root).
+ * Messages without tree data (on_active_path null) are kept, so platforms
+ * without branching export unchanged.
+ * @param {Object} conversation - Normalized conversation with annotated messages
+ * @returns {Object} New conversation with the active thread reindexed
+ */
+export function selectActiveThread(conversation) {
+  const messages = conversation.messages
+    .filter(message => message.on_active_path !== false && !message.is_visually_hidden)
+    .map((message, index) => ({ ...message, index }));
+
+  return { ...conversation, messages };
+}
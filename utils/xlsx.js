@@ -0,0 +1,249 @@
+/**
+ * XLSX Generation Utility Module
+ *
+ * Writes Office Open XML spreadsheets in the browser without external
+ * libraries. Cells are typed: numbers and booleans are stored natively,
+ * timestamp columns become Excel dates, everything else is an inline
+ * string. Because the workbook stores text as XML (UTF-8) rather than
+ * delimited bytes, it opens the same way in Excel on every locale.
+ */
+
+import { createZip } from './zip.js';
+import {
+  MESSAGE_COLUMNS,
+  ATTACHMENT_COLUMNS,
+  BLOCK_COLUMNS,
+  collectMetadataColumns,
+  conversationToMetadataRow,
+  conversationToMessageRows,
+  conversationToBlockRows,
+  conversationToAttachmentRows
+} from './schema.js';
+import { ARTIFACT_COLUMNS, collectArtifacts } from './artifacts.js';
+
+/**
+ * Excel rejects cells longer than this many characters
+ */
+const MAX_CELL_LENGTH = 32767;
+
+/**
+ * Columns written as Excel dates (ISO 8601 strings in the schema)
+ */
+const DATE_COLUMNS = ['created_at', 'updated_at'];
+const BLOCK_DATE_COLUMNS = ['started_at', 'stopped_at'];
+
+/**
+ * Cell style indexes (see STYLES_XML cellXfs)
+ */
+const STYLE_DATE = 1;
+const STYLE_HEADER = 2;
+
+const CONTENT_TYPES_XML = (sheetCount) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${Array.from({ length: sheetCount }, (_, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('\n')}
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Escape text for XML and drop characters XML 1.0 does not allow
+ */
+export function escapeXML(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a zero-based column index to a column letter (0 -> A, 26 -> AA)
+ */
+function columnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+/**
+ * Convert an ISO 8601 timestamp to an Excel date serial (days since 1899-12-30, UTC)
+ * @returns {number|null} Serial number, or null if the value is not a valid date
+ */
+function toExcelDate(value) {
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time / 86400000 + 25569;
+}
+
+/**
+ * Sanitize a worksheet name (max 31 chars, no []:*?/\)
+ */
+function sanitizeSheetName(name) {
+  return String(name).replace(/[[\]:*?/\\]/g, '_').substring(0, 31) || 'Sheet';
+}
+
+/**
+ * Serialize one typed cell
+ */
+function renderCell(ref, value, isDateColumn) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+
+  if (isDateColumn) {
+    const serial = toExcelDate(value);
+    if (serial !== null) {
+      return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+    }
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (text.length > MAX_CELL_LENGTH) {
+    console.warn('[XLSX] Cell truncated to Excel maximum length:', ref);
+    text = text.substring(0, MAX_CELL_LENGTH);
+  }
+
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`;
+}
+
+/**
+ * Serialize a worksheet: bold frozen header row followed by data rows
+ */
+function renderSheet(sheet) {
+  const columns = sheet.columns;
+  const dateColumns = new Set(sheet.dateColumns || []);
+
+  const headerCells = columns.map((column, i) =>
+    `<c r="${columnLetter(i)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXML(column)}</t></is></c>`
+  ).join('');
+
+  const rows = [`<row r="1">${headerCells}</row>`];
+  sheet.rows.forEach((row, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = columns.map((column, i) =>
+      renderCell(`${columnLetter(i)}${rowNumber}`, row[column], dateColumns.has(column))
+    ).join('');
+    rows.push(`<row r="${rowNumber}">${cells}</row>`);
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetData>
+${rows.join('\n')}
+</sheetData>
+</worksheet>`;
+}
+
+/**
+ * Creates an XLSX workbook
+ *
+ * @param {Array<Object>} sheets - Array of { name, columns, rows, dateColumns }
+ * @returns {Uint8Array} XLSX file bytes
+ */
+export function createWorkbook(sheets) {
+  const sheetEntries = sheets.map((sheet, i) =>
+    `<sheet name="${escapeXML(sanitizeSheetName(sheet.name))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+  ).join('');
+
+  const workbookXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${sheetEntries}</sheets>
+</workbook>`;
+
+  const workbookRels = sheets.map((_, i) =>
+    `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+  );
+  workbookRels.push(
+    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+  );
+
+  const workbookRelsXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${workbookRels.join('\n')}
+</Relationships>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES_XML(sheets.length) },
+    { name: '_rels/.rels', data: ROOT_RELS_XML },
+    { name: 'xl/workbook.xml', data: workbookXML },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRelsXML },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: renderSheet(sheet) }))
+  ]);
+}
+
+/**
+ * Generates the XLSX workbook for one or more conversations
+ * Sheets: Metadata (one row per conversation), Messages and, if there are
+ * any, Blocks (when requested), Attachments and Artifacts (one row per
+ * artifact version).
+ *
+ * @param {Array<Object>} conversations - Normalized conversations
+ * @param {Array<string>} [messageColumns] - Columns of the Messages sheet (defaults to all)
+ * @param {boolean} [includeBlocks] - Add a sheet with one row per content block
+ * @returns {Uint8Array} XLSX file bytes
+ */
+export function generateConversationsXLSX(conversations, messageColumns = MESSAGE_COLUMNS, includeBlocks = false) {
+  const metadataRows = conversations.map(conversationToMetadataRow);
+  const messageRows = conversations.flatMap(conversationToMessageRows);
+  const attachmentRows = conversations.flatMap(conversationToAttachmentRows);
+
+  const sheets = [
+    { name: 'Metadata', columns: collectMetadataColumns(metadataRows), rows: metadataRows, dateColumns: DATE_COLUMNS },
+    { name: 'Messages', columns: messageColumns, rows: messageRows, dateColumns: DATE_COLUMNS }
+  ];
+
+  const blockRows = includeBlocks ? conversations.flatMap(conversationToBlockRows) : [];
+  if (blockRows.length > 0) {
+    sheets.push({ name: 'Blocks', columns: BLOCK_COLUMNS, rows: blockRows, dateColumns: BLOCK_DATE_COLUMNS });
+  }
+
+  if (attachmentRows.length > 0) {
+    sheets.push({ name: 'Attachments', columns: ATTACHMENT_COLUMNS, rows: attachmentRows });
+  }
+
+  const artifactRows = collectArtifacts(conversations).rows;
+  if (artifactRows.length > 0) {
+    sheets.push({ name: 'Artifacts', columns: ARTIFACT_COLUMNS, rows: artifactRows, dateColumns: DATE_COLUMNS });
+  }
+
+  return createWorkbook(sheets);
+}
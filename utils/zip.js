@@ -0,0 +1,183 @@
+/**
+ * ZIP Archive Utility Module
+ *
+ * Minimal in-browser ZIP writer (no external libraries). Used as the
+ * container for XLSX workbooks (store) and to bundle multi-file exports
+ * into one download (deflate). File names are written as UTF-8.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * ZIP compression methods
+ */
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * CRC-32 lookup table (IEEE 802.3 polynomial)
+ */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ *
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Compress bytes with raw DEFLATE using the browser's CompressionStream
+ *
+ * @param {Uint8Array} bytes - Data to compress
+ * @returns {Promise<Uint8Array>} Compressed bytes
+ */
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Serialize prepared entries into a ZIP archive
+ * Each entry carries its raw size and checksum plus the bytes actually stored.
+ */
+function writeZip(entries) {
+  const { time, day } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const nameBytes = encoder.encode(entry.name);
+    const { method, checksum, size, stored } = entry;
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);          // version needed to extract
+    local.setUint16(6, 0x0800, true);      // flags: UTF-8 file names
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    // Central directory header
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);        // version made by
+    central.setUint16(6, 20, true);        // version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);   // offset of local header
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, stored);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + stored.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    output.set(part, position);
+    position += part.length;
+  }
+  return output;
+}
+
+/**
+ * Convert an entry's data to bytes
+ */
+function toBytes(data) {
+  return typeof data === 'string' ? encoder.encode(data) : data;
+}
+
+/**
+ * Creates an uncompressed (store) ZIP archive
+ *
+ * @param {Array<Object>} entries - Array of { name, data } where data is a string or Uint8Array
+ * @returns {Uint8Array} ZIP file bytes
+ */
+export function createZip(entries) {
+  return writeZip(entries.map(entry => {
+    const data = toBytes(entry.data);
+    return { name: entry.name, method: METHOD_STORE, checksum: crc32(data), size: data.length, stored: data };
+  }));
+}
+
+/**
+ * Creates a DEFLATE-compressed ZIP archive
+ * Entries that do not shrink, or all entries when CompressionStream is
+ * unavailable, are stored uncompressed.
+ *
+ * @param {Array<Object>} entries - Array of { name, data } where data is a string or Uint8Array
+ * @returns {Promise<Uint8Array>} ZIP file bytes
+ */
+export async function createCompressedZip(entries) {
+  const canDeflate = typeof CompressionStream === 'function';
+  const prepared = [];
+
+  for (const entry of entries) {
+    const data = toBytes(entry.data);
+    let method = METHOD_STORE;
+    let stored = data;
+
+    if (canDeflate && data.length > 0) {
+      const compressed = await deflateRaw(data);
+      if (compressed.length < data.length) {
+        method = METHOD_DEFLATE;
+        stored = compressed;
+      }
+    }
+
+    prepared.push({ name: entry.name, method, checksum: crc32(data), size: data.length, stored });
+  }
+
+  return writeZip(prepared);
+}